@@ -0,0 +1,201 @@
+import { sizeOf } from './util.js';
+
+/**
+ * Least-recently-used cache of decoded records for a single store.
+ * Records are cached by primary key and other results, such as getAll ranges, by query.
+ * Any change to the store removes every cached query
+ * @class
+ */
+export class LRUCache {
+
+  #max = Infinity;
+  #maxBytes = Infinity;
+  #bytes = 0;
+  #item = new Map();
+
+  // incremented on every change: results read before a change are not cached
+  version = 0;
+
+  /**
+   * initialize cache
+   * @param {number|object} opt - maximum entries or a settings object
+   * @param {number} opt.max - maximum entries
+   * @param {number} opt.maxBytes - maximum estimated size of cached values in bytes
+   */
+  constructor(opt) {
+
+    if (typeof opt === 'number') opt = { max: opt };
+
+    this.#max = Math.max(1, parseInt(opt?.max, 10) || Infinity);
+    this.#maxBytes = Math.max(1, parseInt(opt?.maxBytes, 10) || Infinity);
+
+  }
+
+
+  /**
+   * number of cached entries
+   * @type {number}
+   */
+  get size() {
+    return this.#item.size;
+  }
+
+
+  /**
+   * estimated size of cached values in bytes
+   * @type {number}
+   */
+  get bytes() {
+    return this.#bytes;
+  }
+
+
+  /**
+   * get a cached value
+   * @param {string} id - cache id returned by keyId() or queryId()
+   * @returns {object|undefined} - { value } object (a copy of the cached value) or undefined when not cached
+   */
+  get(id) {
+
+    const entry = this.#item.get(id);
+    if (!entry) return undefined;
+
+    // most recently used
+    this.#item.delete(id);
+    this.#item.set(id, entry);
+
+    return { value: copy(entry.value) };
+
+  }
+
+
+  /**
+   * cache a value
+   * @param {string} id - cache id returned by keyId() or queryId()
+   * @param {*} value - value
+   * @param {number} [version] - cache version when the value was read (the value is not cached when the store has since changed)
+   */
+  set(id, value, version = this.version) {
+
+    if (version !== this.version) return;
+
+    const size = sizeOf(value);
+    if (size > this.#maxBytes) return;
+
+    this.#remove(id);
+    this.#item.set(id, { value: copy(value), size });
+    this.#bytes += size;
+
+    // remove least recently used entries
+    for (const old of this.#item.keys()) {
+      if (this.#item.size <= this.#max && this.#bytes <= this.#maxBytes) break;
+      this.#remove(old);
+    }
+
+  }
+
+
+  /**
+   * remove changed records and all cached queries
+   * @param {array|null} keys - changed primary keys (all entries are removed when null)
+   */
+  delete(keys) {
+
+    if (!keys) {
+      this.clear();
+      return;
+    }
+
+    this.version++;
+    keys.forEach(k => this.#remove( keyId(k) ));
+
+    for (const id of this.#item.keys()) {
+      if (id[0] === 'q') this.#remove(id);
+    }
+
+  }
+
+
+  /**
+   * remove all entries
+   */
+  clear() {
+    this.version++;
+    this.#item.clear();
+    this.#bytes = 0;
+  }
+
+
+  /**
+   * PRIVATE: remove an entry
+   * @private
+   * @param {string} id - cache id
+   */
+  #remove(id) {
+
+    const entry = this.#item.get(id);
+    if (!entry) return;
+
+    this.#bytes -= entry.size;
+    this.#item.delete(id);
+
+  }
+
+}
+
+
+/**
+ * cache id of a primary key
+ * @param {*} key - primary key
+ * @returns {string} - cache id
+ */
+export function keyId(key) {
+  return 'k' + JSON.stringify( keyValue(key) );
+}
+
+
+/**
+ * cache id of a query
+ * @param {string} operation - operation name
+ * @param {object} param - operation parameters (the store property is ignored)
+ * @returns {string} - cache id
+ */
+export function queryId(operation, param) {
+
+  const arg = Object.entries(param)
+    .filter(([ k, v ]) => k !== 'store' && v !== undefined)
+    .sort(([ a ], [ b ]) => a < b ? -1 : 1)
+    .map(([ k, v ]) => [ k, keyValue(v) ]);
+
+  return 'q' + JSON.stringify([ operation, arg ]);
+
+}
+
+
+/**
+ * PRIVATE: convert a key or key range to a JSON-compatible value which distinguishes key types
+ * @private
+ * @param {*} key - key
+ * @returns {*} - value
+ */
+function keyValue(key) {
+
+  if (key instanceof Date) return { d: +key };
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return { b: Array.from( new Uint8Array(key.buffer ?? key, key.byteOffset ?? 0, key.byteLength) ) };
+  if (Array.isArray(key)) return key.map(keyValue);
+  if (key && typeof key === 'object' && 'lowerOpen' in key) return { r: [ keyValue(key.lower), keyValue(key.upper), key.lowerOpen, key.upperOpen ] };
+  if (key && typeof key === 'object') return { o: Object.entries(key).map(([ k, v ]) => [ k, keyValue(v) ]) };
+  return key;
+
+}
+
+
+/**
+ * PRIVATE: copy a value so cached records cannot be modified by the application
+ * @private
+ * @param {*} value - value
+ * @returns {*} - copy
+ */
+function copy(value) {
+  return value && typeof value === 'object' ? structuredClone(value) : value;
+}
@@ -0,0 +1,211 @@
+import { INTERNAL } from './util.js';
+
+// chunked binary value property
+export const CHUNKED = `${ INTERNAL }blob`;
+
+
+/**
+ * replace Blob, ArrayBuffer, and typed array values larger than size with references to chunk records.
+ * Values are found in nested objects and arrays and the record is copied rather than modified
+ * @param {*} value - record
+ * @param {number} size - maximum chunk size in bytes
+ * @returns {Promise} - resolves with { value, chunk } where chunk is an array of { id, n, data } objects
+ */
+export async function chunkSplit(value, size) {
+
+  const chunk = [];
+
+  value = await replace(value, async v => {
+
+    if (!isBinary(v)) return v;
+
+    const bytes = v.size ?? v.byteLength;
+    if (bytes <= size) return v;
+
+    const
+      id = crypto.randomUUID(),
+      buffer = await toBuffer(v),
+      ref = { id, kind: kindOf(v), size: bytes, count: 0 };
+
+    if (v.type) ref.type = v.type;
+    if (ref.kind === 'File') {
+      ref.name = v.name;
+      ref.lastModified = v.lastModified;
+    }
+
+    for (let p = 0; p < bytes; p += size) {
+      chunk.push({ id, n: ref.count++, data: buffer.slice(p, p + size) });
+    }
+
+    return { [ CHUNKED ]: ref };
+
+  });
+
+  return { value, chunk };
+
+}
+
+
+/**
+ * get chunk references in a stored value
+ * @param {*} value - stored value
+ * @returns {array} - array of { id, kind, size, count } objects
+ */
+export function chunkRefs(value) {
+
+  const ref = [];
+
+  (function find(v) {
+    if (isRef(v)) ref.push(v[ CHUNKED ]);
+    else if (isPlain(v)) Object.values(v).forEach(find);
+  })(value);
+
+  return ref;
+
+}
+
+
+/**
+ * replace chunk references with the original binary values
+ * @param {*} value - stored value
+ * @param {Map} data - arrays of ArrayBuffer chunks keyed by reference id
+ * @returns {Promise} - resolves with the record
+ */
+export function chunkJoin(value, data) {
+
+  return replace(value, v => {
+
+    if (!isRef(v)) return v;
+
+    const
+      { id, kind, type = '', name, lastModified } = v[ CHUNKED ],
+      part = data.get(id);
+
+    if (kind === 'Blob') return new Blob(part, { type });
+    if (kind === 'File') return new File(part, name, { type, lastModified });
+
+    const buffer = concat(part);
+    if (kind === 'ArrayBuffer') return buffer;
+    return new globalThis[ kind ](buffer);
+
+  });
+
+}
+
+
+/**
+ * PRIVATE: copy a value, replacing nested values returned by an async function
+ * @private
+ * @param {*} value - value
+ * @param {function} fn - passed each value and returns the same or a new value
+ * @returns {Promise} - resolves with the original value or a modified copy
+ */
+async function replace(value, fn) {
+
+  const r = await fn(value);
+  if (r !== value || !isPlain(value)) return r;
+
+  let copy = null;
+
+  for (const [ k, v ] of Object.entries(value)) {
+
+    const n = await replace(v, fn);
+
+    if (n !== v) {
+      copy ||= Array.isArray(value) ? [ ...value ] : { ...value };
+      copy[k] = n;
+    }
+
+  }
+
+  return copy || value;
+
+}
+
+
+/**
+ * PRIVATE: is a value an array or plain object?
+ * @private
+ * @param {*} v - value
+ * @returns {boolean} - value can contain nested values
+ */
+function isPlain(v) {
+
+  if (!v || typeof v !== 'object') return false;
+
+  const proto = Object.getPrototypeOf(v);
+  return Array.isArray(v) || proto === Object.prototype || proto === null;
+
+}
+
+
+/**
+ * PRIVATE: is a value a Blob, ArrayBuffer, or typed array?
+ * @private
+ * @param {*} v - value
+ * @returns {boolean} - value is binary
+ */
+function isBinary(v) {
+  return v instanceof ArrayBuffer || ArrayBuffer.isView(v) || (typeof Blob !== 'undefined' && v instanceof Blob);
+}
+
+
+/**
+ * PRIVATE: is a value a chunk reference?
+ * @private
+ * @param {*} v - value
+ * @returns {boolean} - value references chunk records
+ */
+function isRef(v) {
+  return isPlain(v) && CHUNKED in v;
+}
+
+
+/**
+ * PRIVATE: get the type name of a binary value
+ * @private
+ * @param {Blob|ArrayBuffer|ArrayBufferView} v - binary value
+ * @returns {string} - File, Blob, ArrayBuffer, DataView, or typed array constructor name
+ */
+function kindOf(v) {
+
+  if (typeof File !== 'undefined' && v instanceof File) return 'File';
+  if (typeof Blob !== 'undefined' && v instanceof Blob) return 'Blob';
+  return Object.prototype.toString.call(v).slice(8, -1);
+
+}
+
+
+/**
+ * PRIVATE: copy binary data to an ArrayBuffer
+ * @private
+ * @param {Blob|ArrayBuffer|ArrayBufferView} v - binary value
+ * @returns {Promise} - resolves with an ArrayBuffer
+ */
+async function toBuffer(v) {
+
+  if (v instanceof ArrayBuffer) return v;
+  if (ArrayBuffer.isView(v)) return v.buffer.slice(v.byteOffset, v.byteOffset + v.byteLength);
+  return v.arrayBuffer();
+
+}
+
+
+/**
+ * PRIVATE: concatenate ArrayBuffers
+ * @private
+ * @param {array} part - array of ArrayBuffers
+ * @returns {ArrayBuffer} - combined data
+ */
+function concat(part) {
+
+  const out = new Uint8Array( part.reduce((t, p) => t + p.byteLength, 0) );
+
+  part.reduce((offset, p) => {
+    out.set(new Uint8Array(p), offset);
+    return offset + p.byteLength;
+  }, 0);
+
+  return out.buffer;
+
+}
@@ -0,0 +1,76 @@
+import { encode, decode } from './serialize.js';
+import { INTERNAL, valueAt, valueSet } from './util.js';
+
+// compressed payload property
+export const COMPRESSED = `${ INTERNAL }zip`;
+
+
+/**
+ * is a stored value compressed?
+ * @param {*} value - stored value
+ * @returns {boolean} - value has a compressed payload
+ */
+export function isCompressed(value) {
+  return !!value && typeof value === 'object' && COMPRESSED in value;
+}
+
+
+/**
+ * compress a record with a CompressionStream.
+ * Fields which must remain searchable, such as the keyPath and indexed fields, are copied in clear
+ * @param {*} value - record
+ * @param {string} [format] - gzip (default), deflate, or deflate-raw
+ * @param {array} [clear] - key paths to store in clear
+ * @param {number} [minSize] - records with a smaller JSON size are not compressed
+ * @returns {Promise} - resolves with the value to store
+ */
+export async function compressValue(value, format = 'gzip', clear = [], minSize = 0) {
+
+  const text = JSON.stringify( await encode(value) );
+  if (text.length < minSize) return value;
+
+  const stored = {
+    [ COMPRESSED ]: {
+      format,
+      data: await pipe( new TextEncoder().encode(text), new CompressionStream(format) )
+    }
+  };
+
+  clear.forEach(kp => {
+    const v = valueAt(value, kp);
+    if (v !== undefined) valueSet(stored, kp, v);
+  });
+
+  return stored;
+
+}
+
+
+/**
+ * decompress a value created by compressValue(). Uncompressed values are returned unchanged
+ * @param {*} stored - stored value
+ * @returns {Promise} - resolves with the record
+ */
+export async function decompressValue(stored) {
+
+  if (!isCompressed(stored)) return stored;
+
+  const { format, data } = stored[ COMPRESSED ];
+
+  return decode( JSON.parse(
+    new TextDecoder().decode( await pipe(data, new DecompressionStream(format)) )
+  ));
+
+}
+
+
+/**
+ * PRIVATE: pass binary data through a transform stream
+ * @private
+ * @param {ArrayBuffer|Uint8Array} data - input data
+ * @param {TransformStream} stream - CompressionStream or DecompressionStream
+ * @returns {Promise} - resolves with an ArrayBuffer
+ */
+function pipe(data, stream) {
+  return new Response( new Blob([ data ]).stream().pipeThrough(stream) ).arrayBuffer();
+}
@@ -0,0 +1,78 @@
+import { encode, decode } from './serialize.js';
+import { INTERNAL, valueAt, valueSet } from './util.js';
+import { PixDBError } from './errors.js';
+
+// encrypted payload property
+export const ENCRYPTED = `${ INTERNAL }enc`;
+
+
+/**
+ * is a stored value encrypted?
+ * @param {*} value - stored value
+ * @returns {boolean} - value has an encrypted payload
+ */
+export function isEncrypted(value) {
+  return !!value && typeof value === 'object' && ENCRYPTED in value;
+}
+
+
+/**
+ * encrypt a record with AES-GCM.
+ * The whole record is encrypted and fields which must remain searchable, such as the keyPath and indexed fields, are copied in clear
+ * @param {CryptoKey} key - AES-GCM key
+ * @param {*} value - record
+ * @param {array} clear - key paths to store in clear
+ * @returns {Promise} - resolves with the value to store
+ */
+export async function encryptValue(key, value, clear = []) {
+
+  const
+    iv = crypto.getRandomValues( new Uint8Array(12) ),
+    data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode( JSON.stringify( await encode(value) ) )
+    ),
+    stored = { [ ENCRYPTED ]: { iv, data } };
+
+  clear.forEach(kp => {
+    const v = valueAt(value, kp);
+    if (v !== undefined) valueSet(stored, kp, v);
+  });
+
+  return stored;
+
+}
+
+
+/**
+ * decrypt a value created by encryptValue(). Unencrypted values are returned unchanged
+ * @param {array} keys - AES-GCM keys to try in order, e.g. the current key then previous keys
+ * @param {*} stored - stored value
+ * @param {string|array|null} [keyPath] - store keyPath (used in errors)
+ * @returns {Promise} - resolves with the record or rejects when no key can decrypt it
+ */
+export async function decryptValue(keys, stored, keyPath = null) {
+
+  if (!isEncrypted(stored)) return stored;
+
+  const { iv, data } = stored[ ENCRYPTED ];
+
+  for (const key of keys) {
+
+    let text;
+
+    try {
+      text = new TextDecoder().decode( await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data) );
+    }
+    catch {
+      continue;
+    }
+
+    return decode( JSON.parse(text) );
+
+  }
+
+  throw new PixDBError('Record cannot be decrypted with the store key', { key: keyPath === null ? undefined : valueAt(stored, keyPath) });
+
+}
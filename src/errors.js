@@ -0,0 +1,168 @@
+/**
+ * PixDB error.
+ * All errors have store, index, key, and operation properties when known and the original DOMException as the cause
+ * @class
+ */
+export class PixDBError extends Error {
+
+  /**
+   * create error
+   * @param {string} message - error message
+   * @param {object} [context] - error context
+   * @param {string} [context.store] - object store name
+   * @param {string} [context.index] - index name
+   * @param {*} [context.key] - record key
+   * @param {string} [context.operation] - PixDB method, e.g. add
+   * @param {*} [context.cause] - original error
+   */
+  constructor(message, { store, index, key, operation, cause } = {}) {
+
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'PixDBError';
+    this.store = store;
+    this.index = index;
+    this.key = key;
+    this.operation = operation;
+
+  }
+
+}
+
+
+/**
+ * a record key or unique index value already exists
+ * @class
+ */
+export class ConstraintError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'ConstraintError';
+  }
+
+}
+
+
+/**
+ * an object store or index does not exist
+ * @class
+ */
+export class NotFoundError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'NotFoundError';
+  }
+
+}
+
+
+/**
+ * the browser's storage quota has been exceeded
+ * @class
+ */
+export class QuotaExceededError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'QuotaExceededError';
+  }
+
+}
+
+
+/**
+ * the database version is newer than the requested version
+ * @class
+ */
+export class VersionError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'VersionError';
+  }
+
+}
+
+
+/**
+ * a transaction was aborted or is no longer active
+ * @class
+ */
+export class TransactionAbortedError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'TransactionAbortedError';
+  }
+
+}
+
+
+/**
+ * the database connection has been closed
+ * @class
+ */
+export class ConnectionClosedError extends PixDBError {
+
+  constructor(message, context) {
+    super(message, context);
+    this.name = 'ConnectionClosedError';
+  }
+
+}
+
+
+/**
+ * one or more records failed store validation.
+ * The errors property is an array of { index, field, message } objects
+ * @class
+ */
+export class ValidationError extends PixDBError {
+
+  constructor(message, context = {}) {
+    super(message, context);
+    this.name = 'ValidationError';
+    this.errors = context.errors || [];
+  }
+
+}
+
+
+// DOMException names
+const errorType = {
+  ConstraintError,
+  NotFoundError,
+  QuotaExceededError,
+  VersionError,
+  AbortError: TransactionAbortedError,
+  TransactionInactiveError: TransactionAbortedError
+};
+
+
+/**
+ * convert an IndexedDB error or event to a PixDBError.
+ * Missing context is added to an existing PixDBError and other errors, such as those thrown by callback functions, are returned unchanged
+ * @param {*} err - DOMException, error event, PixDBError, or null when a transaction aborted without an error
+ * @param {object} [context] - error context ({ store, index, key, operation })
+ * @param {string} [message] - error message (the DOMException message when not set)
+ * @returns {Error} - error
+ */
+export function toError(err, context = {}, message) {
+
+  // error event
+  if (err?.target && 'error' in err.target) err = err.target.error;
+
+  if (err instanceof PixDBError) {
+    Object.entries(context).forEach(([ k, v ]) => err[k] ??= v);
+    return err;
+  }
+
+  if (!err) return new TransactionAbortedError(message || 'Transaction aborted', context);
+
+  if (err instanceof Error && !(typeof DOMException !== 'undefined' && err instanceof DOMException)) return err;
+
+  const Type = errorType[ err.name ] || PixDBError;
+  return new Type(message || err.message || String(err), { ...context, cause: err });
+
+}
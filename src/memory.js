@@ -0,0 +1,1477 @@
+/*
+In-memory IndexedDB backend.
+Implements the subset of the IndexedDB API used by PixDB so it can run where
+IndexedDB is unavailable: Web Workers without storage access, Node.js, or private browsing modes.
+Data is lost when the page or process ends.
+*/
+
+// run function in a new task
+const tick = typeof setImmediate === 'function' ? setImmediate : (() => {
+
+  const
+    channel = new MessageChannel(),
+    queue = [];
+
+  channel.port1.onmessage = () => queue.shift()();
+  return fn => {
+    queue.push(fn);
+    channel.port2.postMessage(0);
+  };
+
+})();
+
+// key type order
+const keyOrder = { number: 1, date: 2, string: 3, binary: 4, array: 5 };
+
+
+/**
+ * PRIVATE: create a DOMException
+ * @private
+ * @param {string} name - error name
+ * @param {string} message - error message
+ * @returns {DOMException} - error
+ */
+function domError(name, message) {
+  return new DOMException(message, name);
+}
+
+
+/**
+ * PRIVATE: return key type or null when the value is not a valid key
+ * @private
+ * @param {*} key - key value
+ * @returns {string|null} - number, date, string, binary, array, or null
+ */
+function keyType(key) {
+
+  if (typeof key === 'number') return isNaN(key) ? null : 'number';
+  if (typeof key === 'string') return 'string';
+  if (key instanceof Date) return isNaN(key.getTime()) ? null : 'date';
+  if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) return 'binary';
+  if (Array.isArray(key)) return key.every(k => keyType(k)) ? 'array' : null;
+  return null;
+
+}
+
+
+/**
+ * PRIVATE: validate and copy a key
+ * @private
+ * @param {*} key - key value
+ * @returns {*} - key
+ */
+function validKey(key) {
+
+  if (!keyType(key)) throw domError('DataError', 'The parameter is not a valid key.');
+  return Array.isArray(key) ? key.map(validKey) : key;
+
+}
+
+
+/**
+ * PRIVATE: binary key bytes
+ * @private
+ * @param {ArrayBuffer|ArrayBufferView} key - binary key
+ * @returns {Uint8Array} - bytes
+ */
+function bytes(key) {
+  return key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+}
+
+
+/**
+ * compare two keys using IndexedDB ordering
+ * @param {*} a - first key
+ * @param {*} b - second key
+ * @returns {number} - -1, 0, or 1
+ */
+function cmp(a, b) {
+
+  const
+    ta = keyType(a),
+    tb = keyType(b);
+
+  if (!ta || !tb) throw domError('DataError', 'The parameter is not a valid key.');
+  if (ta !== tb) return keyOrder[ta] < keyOrder[tb] ? -1 : 1;
+
+  switch (ta) {
+
+    case 'date':
+      a = a.getTime();
+      b = b.getTime();
+      break;
+
+    case 'binary': {
+      const ba = bytes(a), bb = bytes(b);
+      for (let i = 0; i < Math.min(ba.length, bb.length); i++) {
+        if (ba[i] !== bb[i]) return ba[i] < bb[i] ? -1 : 1;
+      }
+      return Math.sign(ba.length - bb.length);
+    }
+
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const c = cmp(a[i], b[i]);
+        if (c) return c;
+      }
+      return Math.sign(a.length - b.length);
+
+  }
+
+  return a === b ? 0 : (a < b ? -1 : 1);
+
+}
+
+
+/**
+ * PRIVATE: extract a key from a value using a key path
+ * @private
+ * @param {*} value - record
+ * @param {string|array} keyPath - key path
+ * @returns {*} - key or undefined when not found
+ */
+function keyFrom(value, keyPath) {
+
+  if (Array.isArray(keyPath)) {
+    const key = keyPath.map(kp => keyFrom(value, kp));
+    return key.includes(undefined) ? undefined : key;
+  }
+
+  if (keyPath === '') return value;
+
+  return keyPath.split('.').reduce((v, p) => {
+    if (v === null || v === undefined || typeof v !== 'object') return undefined;
+    return v[p];
+  }, value);
+
+}
+
+
+/**
+ * PRIVATE: set a generated key on a value
+ * @private
+ * @param {object} value - record
+ * @param {string} keyPath - key path
+ * @param {number} key - key
+ */
+function keySet(value, keyPath, key) {
+
+  const part = keyPath.split('.');
+  let v = value;
+
+  part.slice(0, -1).forEach(p => {
+    v[p] ??= {};
+    v = v[p];
+  });
+
+  v[ part.at(-1) ] = key;
+
+}
+
+
+/**
+ * PRIVATE: binary search for the position of a key in a sorted array of entries
+ * @private
+ * @param {array} list - array of entries
+ * @param {function} compare - function comparing an entry with the target (returns -1, 0, or 1)
+ * @returns {number} - index of the first entry which is not less than the target
+ */
+function search(list, compare) {
+
+  let lo = 0, hi = list.length;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compare(list[mid]) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+
+  return lo;
+
+}
+
+
+/**
+ * PRIVATE: string list with contains() method
+ * @private
+ * @param {array} names - strings
+ * @returns {array} - sorted array with a contains() method
+ */
+function stringList(names) {
+
+  const list = [ ...names ].sort();
+  list.contains = name => list.includes(name);
+  list.item = i => list[i] ?? null;
+  return list;
+
+}
+
+
+/**
+ * In-memory IDBKeyRange
+ * @class
+ */
+export class MemoryKeyRange {
+
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+
+    if (lower !== undefined) lower = validKey(lower);
+    if (upper !== undefined) upper = validKey(upper);
+
+    if (lower !== undefined && upper !== undefined) {
+      const c = cmp(lower, upper);
+      if (c > 0 || (c === 0 && (lowerOpen || upperOpen))) throw domError('DataError', 'The lower key is greater than the upper key.');
+    }
+
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = !!lowerOpen;
+    this.upperOpen = !!upperOpen;
+
+  }
+
+  static only(value) {
+    return new MemoryKeyRange(value, value);
+  }
+
+  static lowerBound(lower, open) {
+    return new MemoryKeyRange(lower, undefined, open);
+  }
+
+  static upperBound(upper, open) {
+    return new MemoryKeyRange(undefined, upper, false, open);
+  }
+
+  static bound(lower, upper, lowerOpen, upperOpen) {
+    return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  includes(key) {
+
+    key = validKey(key);
+
+    if (this.lower !== undefined) {
+      const c = cmp(key, this.lower);
+      if (c < 0 || (c === 0 && this.lowerOpen)) return false;
+    }
+
+    if (this.upper !== undefined) {
+      const c = cmp(key, this.upper);
+      if (c > 0 || (c === 0 && this.upperOpen)) return false;
+    }
+
+    return true;
+
+  }
+
+}
+
+
+/**
+ * PRIVATE: convert a query to a key range
+ * @private
+ * @param {*} query - key, key range, null, or undefined
+ * @returns {MemoryKeyRange|null} - key range or null for all keys
+ */
+function toRange(query) {
+
+  if (query === undefined || query === null) return null;
+  if (query instanceof MemoryKeyRange) return query;
+  return MemoryKeyRange.only(query);
+
+}
+
+
+/**
+ * PRIVATE: in-memory store data
+ * @private
+ */
+class StoreData {
+
+  constructor(name, keyPath = null, autoIncrement = false) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = !!autoIncrement;
+    this.current = 1;
+    this.record = [];
+    this.index = new Map();
+  }
+
+  // copy for rollback
+  clone() {
+    const c = new StoreData(this.name, this.keyPath, this.autoIncrement);
+    c.current = this.current;
+    c.record = [ ...this.record ];
+    this.index.forEach((idx, name) => c.index.set(name, { ...idx, entry: null }));
+    return c;
+  }
+
+  // position of a primary key
+  find(key) {
+    const i = search(this.record, r => cmp(r.key, key));
+    return { i, found: i < this.record.length && cmp(this.record[i].key, key) === 0 };
+  }
+
+  // sorted index entries
+  entries(indexName) {
+
+    const idx = this.index.get(indexName);
+
+    if (!idx.entry) {
+
+      idx.entry = [];
+
+      this.record.forEach(({ key: primaryKey, value }) => {
+        indexKeys(idx, value).forEach(key => idx.entry.push({ key, primaryKey, value }));
+      });
+
+      idx.entry.sort((a, b) => cmp(a.key, b.key) || cmp(a.primaryKey, b.primaryKey));
+
+    }
+
+    return idx.entry;
+
+  }
+
+  // add or replace a record
+  set(key, value) {
+
+    const
+      pos = this.find(key),
+      rec = { key, primaryKey: key, value };
+
+    if (pos.found) this.#indexSet(this.record[pos.i], -1);
+    this.record.splice(pos.i, pos.found ? 1 : 0, rec);
+    this.#indexSet(rec, 1);
+
+  }
+
+  // delete records in a range
+  remove(range) {
+
+    const keep = this.record.filter(r => !range.includes(r.key));
+
+    if (this.record.length - keep.length > 100) this.changed();
+    else this.record.forEach(r => !range.includes(r.key) || this.#indexSet(r, -1));
+
+    this.record = keep;
+
+  }
+
+  // invalidate index caches
+  changed() {
+    this.index.forEach(idx => idx.entry = null);
+  }
+
+  // add (1) or remove (-1) a record from built index caches
+  #indexSet(rec, op) {
+
+    this.index.forEach(idx => {
+
+      if (!idx.entry) return;
+
+      indexKeys(idx, rec.value).forEach(key => {
+
+        const i = search(idx.entry, e => cmp(e.key, key) || cmp(e.primaryKey, rec.key));
+        if (op > 0) idx.entry.splice(i, 0, { key, primaryKey: rec.key, value: rec.value });
+        else idx.entry.splice(i, 1);
+
+      });
+
+    });
+
+  }
+
+}
+
+
+/**
+ * PRIVATE: keys of a value in an index
+ * @private
+ * @param {object} idx - index definition
+ * @param {*} value - record
+ * @returns {array} - array of index keys
+ */
+function indexKeys(idx, value) {
+
+  const key = keyFrom(value, idx.keyPath);
+
+  if (key === undefined) return [];
+
+  if (idx.multiEntry && Array.isArray(key)) {
+    const valid = key.filter(k => keyType(k));
+    return valid.filter((k, i) => valid.findIndex(v => cmp(v, k) === 0) === i);
+  }
+
+  return keyType(key) ? [ key ] : [];
+
+}
+
+
+/**
+ * In-memory IDBRequest
+ * @class
+ */
+class MemoryRequest {
+
+  constructor(source, transaction) {
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = null;
+    this.onerror = null;
+  }
+
+}
+
+
+/**
+ * In-memory IDBOpenDBRequest
+ * @class
+ */
+class MemoryOpenRequest extends MemoryRequest {
+
+  constructor() {
+    super(null, null);
+    this.onblocked = null;
+    this.onupgradeneeded = null;
+  }
+
+}
+
+
+/**
+ * PRIVATE: dispatch an event to a handler
+ * @private
+ * @param {object} target - event target
+ * @param {string} type - event type
+ * @param {object} [detail] - additional event properties
+ * @returns {boolean} - true when preventDefault() was called
+ */
+function dispatch(target, type, detail = {}) {
+
+  let prevented = false;
+
+  const
+    fn = target?.[ 'on' + type ],
+    event = {
+      type,
+      target: detail.target ?? target,
+      currentTarget: target,
+      preventDefault: () => prevented = true,
+      stopPropagation: () => {},
+      ...detail
+    };
+
+  if (typeof fn === 'function') fn.call(target, event);
+  return prevented;
+
+}
+
+
+/**
+ * In-memory IDBTransaction
+ * @class
+ */
+class MemoryTransaction {
+
+  #queue = [];
+  #snapshot = new Map();
+  #commit = false;
+  #state = 'active';
+  #started = false;
+
+  constructor(db, names, mode) {
+
+    this.db = db;
+    this.mode = mode;
+    this.objectStoreNames = stringList(names);
+    this.error = null;
+    this.durability = 'default';
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+
+    // versionchange transactions run alone
+    if (mode === 'versionchange') {
+      this.#started = true;
+      tick(() => this.#step());
+      return;
+    }
+
+    db._data.running.push(this);
+    tick(() => this._start());
+
+  }
+
+  get active() {
+    return this.#state === 'active';
+  }
+
+  get finished() {
+    return this.#state === 'finished';
+  }
+
+  // start once earlier transactions with an overlapping scope have finished (readonly transactions can run together)
+  _start() {
+
+    if (this.#started || this.finished) return;
+
+    const
+      running = this.db._data.running,
+      blocked = running.slice(0, running.indexOf(this)).some(t =>
+        (t.mode !== 'readonly' || this.mode !== 'readonly') &&
+        Array.from(t.objectStoreNames).some(n => this.objectStoreNames.contains(n))
+      );
+
+    if (blocked) {
+      this.#state = 'inactive';
+      return;
+    }
+
+    this.#started = true;
+    this.#step();
+
+  }
+
+  // remove from running transactions and start others
+  #end() {
+
+    const running = this.db._data.running;
+    if (this.mode === 'versionchange' || !running.includes(this)) return;
+
+    running.splice(running.indexOf(this), 1);
+    running.forEach(t => t._start());
+
+  }
+
+  objectStore(name) {
+
+    if (this.finished) throw domError('TransactionInactiveError', 'The transaction has finished.');
+    if (!this.objectStoreNames.contains(name)) throw domError('NotFoundError', `No objectStore named ${ name } in this transaction.`);
+    return new MemoryObjectStore(this, name);
+
+  }
+
+  commit() {
+    if (!this.active) throw domError('InvalidStateError', 'The transaction is not active.');
+    this.#commit = true;
+  }
+
+  abort(error = null) {
+
+    if (this.finished) throw domError('TransactionInactiveError', 'The transaction has finished.');
+
+    this.#state = 'finished';
+    this.error = error;
+
+    // restore data
+    this.#snapshot.forEach((data, name) => this.db._data.store.set(name, data));
+    if (this.mode === 'versionchange') this.db._rollback();
+
+    // fail pending requests
+    this.#queue.splice(0).forEach(({ request }) => {
+      request.readyState = 'done';
+      request.error = domError('AbortError', 'The transaction was aborted.');
+      dispatch(request, 'error');
+    });
+
+    tick(() => {
+      dispatch(this, 'abort', { target: this });
+      this.db._done(this);
+      this.#end();
+    });
+
+  }
+
+  // queue a request
+  _request(source, op) {
+
+    if (this.finished || !this.active || this.#commit) throw domError('TransactionInactiveError', 'The transaction is not active.');
+
+    const request = op.request ?? new MemoryRequest(source, this);
+    request.readyState = 'pending';
+    this.#queue.push({ request, op: op.run });
+    return request;
+
+  }
+
+  // check write access and save rollback data
+  _write(name) {
+
+    if (this.mode === 'readonly') throw domError('ReadOnlyError', 'The transaction is read-only.');
+    if (!this.active) throw domError('TransactionInactiveError', 'The transaction is not active.');
+
+    if (!this.#snapshot.has(name) && this.mode !== 'versionchange') {
+      this.#snapshot.set(name, this.db._data.store.get(name).clone());
+    }
+
+  }
+
+  // store data
+  _store(name) {
+    return this.db._data.store.get(name);
+  }
+
+  // process next request
+  #step() {
+
+    if (this.finished) return;
+    this.#state = 'inactive';
+
+    const next = this.#queue.shift();
+
+    // no more requests: commit
+    if (!next) {
+      this.#state = 'finished';
+      dispatch(this, 'complete', { target: this });
+      this.db._done(this);
+      this.#end();
+      return;
+    }
+
+    const { request, op } = next;
+    let ok = true;
+
+    try {
+      request.result = op();
+      request.error = null;
+    }
+    catch (e) {
+      ok = false;
+      request.result = undefined;
+      request.error = e;
+    }
+
+    request.readyState = 'done';
+    this.#state = 'active';
+
+    if (ok) {
+      dispatch(request, 'success');
+    }
+    else if (!dispatch(request, 'error') && !dispatch(this, 'error', { target: request })) {
+      // abort when error is not handled
+      this.#state = 'active';
+      this.abort(request.error);
+      return;
+    }
+
+    tick(() => this.#step());
+
+  }
+
+}
+
+
+/**
+ * In-memory IDBObjectStore
+ * @class
+ */
+class MemoryObjectStore {
+
+  constructor(transaction, name) {
+    this.transaction = transaction;
+    this.name = name;
+  }
+
+  get _data() {
+    const data = this.transaction._store(this.name);
+    if (!data) throw domError('InvalidStateError', 'The object store has been deleted.');
+    return data;
+  }
+
+  get keyPath() {
+    return this._data.keyPath;
+  }
+
+  get autoIncrement() {
+    return this._data.autoIncrement;
+  }
+
+  get indexNames() {
+    return stringList(this._data.index.keys());
+  }
+
+  index(name) {
+    if (!this._data.index.has(name)) throw domError('NotFoundError', `No index named ${ name }.`);
+    return new MemoryIndex(this, name);
+  }
+
+  createIndex(name, keyPath, { unique = false, multiEntry = false } = {}) {
+
+    if (this.transaction.mode !== 'versionchange') throw domError('InvalidStateError', 'Not in a versionchange transaction.');
+    const data = this._data;
+    if (data.index.has(name)) throw domError('ConstraintError', `Index ${ name } already exists.`);
+
+    const idx = { name, keyPath, unique: !!unique, multiEntry: !!multiEntry, entry: null };
+    data.index.set(name, idx);
+
+    // check existing records
+    if (idx.unique) {
+      const entry = data.entries(name);
+      for (let i = 1; i < entry.length; i++) {
+        if (cmp(entry[i - 1].key, entry[i].key) === 0) {
+          data.index.delete(name);
+          this.transaction.abort( domError('ConstraintError', `Index ${ name } has duplicate keys.`) );
+          break;
+        }
+      }
+    }
+
+    return new MemoryIndex(this, name);
+
+  }
+
+  deleteIndex(name) {
+    if (this.transaction.mode !== 'versionchange') throw domError('InvalidStateError', 'Not in a versionchange transaction.');
+    if (!this._data.index.delete(name)) throw domError('NotFoundError', `No index named ${ name }.`);
+  }
+
+  add(value, key) {
+    return this.#write(value, key, false);
+  }
+
+  put(value, key) {
+    return this.#write(value, key, true);
+  }
+
+  // add or put a record
+  #write(value, key, overwrite) {
+
+    this.transaction._write(this.name);
+
+    const data = this._data;
+    value = structuredClone(value);
+
+    if (data.keyPath !== null) {
+      if (key !== undefined) throw domError('DataError', 'An in-line key was provided.');
+      key = keyFrom(value, data.keyPath);
+      if (key === undefined && !data.autoIncrement) throw domError('DataError', 'The record has no key.');
+    }
+    else if (key === undefined && !data.autoIncrement) {
+      throw domError('DataError', 'No key was provided.');
+    }
+
+    if (key !== undefined) key = validKey(key);
+
+    return this.transaction._request(this, {
+      run: () => {
+
+        // generate key
+        if (key === undefined) {
+          key = data.current++;
+          if (data.keyPath !== null) keySet(value, data.keyPath, key);
+        }
+        else if (data.autoIncrement && typeof key === 'number' && key >= data.current) {
+          data.current = Math.floor(key) + 1;
+        }
+
+        const pos = data.find(key);
+        if (pos.found && !overwrite) throw domError('ConstraintError', 'A record with the key already exists.');
+
+        // unique index constraints
+        data.index.forEach((idx, name) => {
+          if (!idx.unique) return;
+          const entry = data.entries(name);
+          indexKeys(idx, value).forEach(k => {
+            const i = search(entry, e => cmp(e.key, k));
+            for (let j = i; j < entry.length && cmp(entry[j].key, k) === 0; j++) {
+              if (cmp(entry[j].primaryKey, key) !== 0) throw domError('ConstraintError', `Index ${ name } key already exists.`);
+            }
+          });
+        });
+
+        data.set(key, value);
+        return key;
+
+      }
+    });
+
+  }
+
+  get(query) {
+
+    const range = toRange(query);
+    if (!range) throw domError('DataError', 'No key or key range specified.');
+
+    return this.transaction._request(this, {
+      run: () => {
+        const rec = this.#list(range, 1)[0];
+        return rec && structuredClone(rec.value);
+      }
+    });
+
+  }
+
+  getKey(query) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, 1)[0]?.key
+    });
+
+  }
+
+  getAll(query, count) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, count).map(r => structuredClone(r.value))
+    });
+
+  }
+
+  getAllKeys(query, count) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, count).map(r => r.key)
+    });
+
+  }
+
+  count(query) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range).length
+    });
+
+  }
+
+  delete(query) {
+
+    this.transaction._write(this.name);
+    const range = toRange(query);
+    if (!range) throw domError('DataError', 'No key or key range specified.');
+
+    return this.transaction._request(this, {
+      run: () => {
+        this._data.remove(range);
+      }
+    });
+
+  }
+
+  clear() {
+
+    this.transaction._write(this.name);
+
+    return this.transaction._request(this, {
+      run: () => {
+        const data = this._data;
+        data.record = [];
+        data.changed();
+      }
+    });
+
+  }
+
+  openCursor(query, direction) {
+    return openCursor(this, toRange(query), direction, true);
+  }
+
+  openKeyCursor(query, direction) {
+    return openCursor(this, toRange(query), direction, false);
+  }
+
+  // records in range
+  #list(range, count) {
+
+    const out = [];
+    for (const r of this._data.record) {
+      if (range && !range.includes(r.key)) continue;
+      out.push(r);
+      if (count && out.length >= count) break;
+    }
+    return out;
+
+  }
+
+  // sorted { key, primaryKey, value } entries for cursors
+  _entries() {
+    return this._data.record;
+  }
+
+}
+
+
+/**
+ * In-memory IDBIndex
+ * @class
+ */
+class MemoryIndex {
+
+  constructor(store, name) {
+    this.objectStore = store;
+    this.name = name;
+  }
+
+  get #def() {
+    return this.objectStore._data.index.get(this.name);
+  }
+
+  get keyPath() {
+    return this.#def.keyPath;
+  }
+
+  get unique() {
+    return this.#def.unique;
+  }
+
+  get multiEntry() {
+    return this.#def.multiEntry;
+  }
+
+  get transaction() {
+    return this.objectStore.transaction;
+  }
+
+  get(query) {
+
+    const range = toRange(query);
+    if (!range) throw domError('DataError', 'No key or key range specified.');
+
+    return this.transaction._request(this, {
+      run: () => {
+        const e = this.#list(range, 1)[0];
+        return e && structuredClone(e.value);
+      }
+    });
+
+  }
+
+  getKey(query) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, 1)[0]?.primaryKey
+    });
+
+  }
+
+  getAll(query, count) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, count).map(e => structuredClone(e.value))
+    });
+
+  }
+
+  getAllKeys(query, count) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range, count).map(e => e.primaryKey)
+    });
+
+  }
+
+  count(query) {
+
+    const range = toRange(query);
+
+    return this.transaction._request(this, {
+      run: () => this.#list(range).length
+    });
+
+  }
+
+  openCursor(query, direction) {
+    return openCursor(this, toRange(query), direction, true);
+  }
+
+  openKeyCursor(query, direction) {
+    return openCursor(this, toRange(query), direction, false);
+  }
+
+  // index entries in range
+  #list(range, count) {
+
+    const out = [];
+    for (const e of this._entries()) {
+      if (range && !range.includes(e.key)) continue;
+      out.push(e);
+      if (count && out.length >= count) break;
+    }
+    return out;
+
+  }
+
+  // sorted { key, primaryKey, value } entries for cursors
+  _entries() {
+    return this.objectStore._data.entries(this.name);
+  }
+
+}
+
+
+/**
+ * PRIVATE: open a cursor request
+ * @private
+ * @param {MemoryObjectStore|MemoryIndex} source - store or index
+ * @param {MemoryKeyRange|null} range - key range
+ * @param {string} direction - next, nextunique, prev, or prevunique
+ * @param {boolean} withValue - true for a value cursor
+ * @returns {MemoryRequest} - cursor request
+ */
+function openCursor(source, range, direction = 'next', withValue = true) {
+
+  if (![ 'next', 'nextunique', 'prev', 'prevunique' ].includes(direction)) throw new TypeError(`Invalid cursor direction ${ direction }`);
+
+  const
+    transaction = source.transaction,
+    request = new MemoryRequest(source, transaction),
+    cursor = new MemoryCursor(source, request, range, direction, withValue);
+
+  return transaction._request(source, {
+    request,
+    run: () => cursor._move({})
+  });
+
+}
+
+
+/**
+ * In-memory IDBCursor
+ * @class
+ */
+class MemoryCursor {
+
+  #range;
+  #withValue;
+  #pos = null;
+  #got = false;
+
+  constructor(source, request, range, direction, withValue) {
+    this.source = source;
+    this.request = request;
+    this.direction = direction;
+    this.#range = range;
+    this.#withValue = withValue;
+    this.key = undefined;
+    this.primaryKey = undefined;
+    this.value = undefined;
+  }
+
+  // move to next position: resolves with this cursor or null
+  _move({ key, primaryKey, count = 1 }) {
+
+    const
+      reverse = this.direction.startsWith('prev'),
+      unique = this.direction.endsWith('unique'),
+      range = this.#range,
+      pos = this.#pos,
+      entry = this.source._entries(),
+      order = (e, k, pk) => cmp(e.key, k) || (pk === undefined ? 0 : cmp(e.primaryKey, pk)),
+      notLess = (k, pk) => search(entry, e => order(e, k, pk)),
+      greater = (k, pk) => search(entry, e => order(e, k, pk) <= 0 ? -1 : 1);
+
+    let found = null, i;
+
+    if (!reverse) {
+
+      // first entry after position, target key, and range lower bound
+      i = pos ? greater(pos.key, unique ? undefined : pos.primaryKey) : 0;
+      if (key !== undefined) i = Math.max(i, notLess(key, primaryKey));
+      if (range?.lower !== undefined) i = Math.max(i, range.lowerOpen ? greater(range.lower) : notLess(range.lower));
+
+      while (i < entry.length && (!range || range.includes(entry[i].key))) {
+        if (!--count) {
+          found = entry[i];
+          break;
+        }
+        i = unique ? greater(entry[i].key) : i + 1;
+      }
+
+    }
+    else {
+
+      // last entry before position, target key, and range upper bound
+      i = pos ? notLess(pos.key, unique ? undefined : pos.primaryKey) - 1 : entry.length - 1;
+      if (key !== undefined) i = Math.min(i, greater(key, primaryKey) - 1);
+      if (range?.upper !== undefined) i = Math.min(i, (range.upperOpen ? notLess(range.upper) : greater(range.upper)) - 1);
+
+      while (i >= 0 && (!range || range.includes(entry[i].key))) {
+
+        // prevunique returns the first record with a key
+        if (unique) i = notLess(entry[i].key);
+
+        if (!--count) {
+          found = entry[i];
+          break;
+        }
+        i--;
+
+      }
+
+    }
+
+    this.#got = !!found;
+
+    if (!found) {
+      this.#pos = null;
+      this.key = this.primaryKey = this.value = undefined;
+      return null;
+    }
+
+    this.#pos = found;
+    this.key = found.key;
+    this.primaryKey = found.primaryKey;
+    this.value = this.#withValue ? structuredClone(found.value) : undefined;
+    return this;
+
+  }
+
+  // queue next move
+  #next(param) {
+
+    if (!this.#got) throw domError('InvalidStateError', 'The cursor is being iterated or has iterated past its end.');
+    this.#got = false;
+
+    this.source.transaction._request(this.source, {
+      request: this.request,
+      run: () => this._move(param)
+    });
+
+  }
+
+  continue(key) {
+    if (key !== undefined) key = validKey(key);
+    this.#next({ key });
+  }
+
+  continuePrimaryKey(key, primaryKey) {
+    this.#next({ key: validKey(key), primaryKey: validKey(primaryKey) });
+  }
+
+  advance(count) {
+    if (!(count > 0)) throw new TypeError('advance() count must be greater than zero.');
+    this.#next({ count });
+  }
+
+  update(value) {
+
+    const store = this.source.objectStore ?? this.source;
+    if (store.keyPath === null) return store.put(value, this.primaryKey);
+
+    // in-line key must not change
+    let same = false;
+    try { same = cmp(validKey(keyFrom(value, store.keyPath)), this.primaryKey) === 0; }
+    catch { /* no key or invalid key */ }
+
+    if (!same) throw domError('DataError', 'The record key differs from the cursor primary key.');
+    return store.put(value);
+
+  }
+
+  delete() {
+    const store = this.source.objectStore ?? this.source;
+    return store.delete(this.primaryKey);
+  }
+
+}
+
+
+/**
+ * In-memory IDBDatabase
+ * @class
+ */
+class MemoryDatabase {
+
+  #closed = false;
+  #upgrade = null;
+
+  constructor(factory, data) {
+    this._factory = factory;
+    this._data = data;
+    this.name = data.name;
+    this.version = data.version;
+    this.onversionchange = null;
+    this.onclose = null;
+    this.onabort = null;
+    this.onerror = null;
+  }
+
+  get objectStoreNames() {
+    return stringList(this._data.store.keys());
+  }
+
+  get _closed() {
+    return this.#closed;
+  }
+
+  transaction(names, mode = 'readonly') {
+
+    if (this.#closed) throw domError('InvalidStateError', 'The database connection is closing.');
+    if (this.#upgrade) throw domError('InvalidStateError', 'A version change transaction is running.');
+
+    names = [].concat(names);
+    names.forEach(n => {
+      if (!this._data.store.has(n)) throw domError('NotFoundError', `No objectStore named ${ n }.`);
+    });
+
+    if (![ 'readonly', 'readwrite' ].includes(mode)) throw new TypeError(`Invalid transaction mode ${ mode }`);
+
+    return new MemoryTransaction(this, names, mode);
+
+  }
+
+  createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+
+    if (!this.#upgrade) throw domError('InvalidStateError', 'Not in a versionchange transaction.');
+    if (this._data.store.has(name)) throw domError('ConstraintError', `Store ${ name } already exists.`);
+    if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) throw domError('InvalidAccessError', 'An autoIncrement store cannot use an empty or array keyPath.');
+
+    this._data.store.set(name, new StoreData(name, keyPath, autoIncrement));
+    this.#upgrade.objectStoreNames = stringList(this._data.store.keys());
+    return new MemoryObjectStore(this.#upgrade, name);
+
+  }
+
+  deleteObjectStore(name) {
+
+    if (!this.#upgrade) throw domError('InvalidStateError', 'Not in a versionchange transaction.');
+    if (!this._data.store.delete(name)) throw domError('NotFoundError', `No objectStore named ${ name }.`);
+    this.#upgrade.objectStoreNames = stringList(this._data.store.keys());
+
+  }
+
+  close() {
+    this.#closed = true;
+    this._factory._check(this.name);
+  }
+
+  // start version change
+  _upgradeStart(transaction) {
+    this.#upgrade = transaction;
+    this._backup = { version: this._data.version, store: new Map( Array.from(this._data.store, ([ n, d ]) => [ n, d.clone() ]) ) };
+  }
+
+  // revert failed version change
+  _rollback() {
+    this._data.version = this._backup.version;
+    this._data.store = this._backup.store;
+    this.version = this._backup.version;
+  }
+
+  // transaction finished
+  _done(transaction) {
+
+    if (transaction !== this.#upgrade) return;
+    this.#upgrade = null;
+    this._backup = null;
+    this._upgradeDone?.(transaction);
+
+  }
+
+}
+
+
+/**
+ * In-memory IDBFactory
+ * @class
+ */
+export class MemoryFactory {
+
+  #db = new Map();
+  #conn = new Map();
+  #wait = [];
+
+  /**
+   * open a database
+   * @param {string} name - database name
+   * @param {number} [version] - database version
+   * @returns {MemoryOpenRequest} - open request
+   */
+  open(name, version) {
+
+    if (version !== undefined && !(version >= 1)) throw new TypeError('The version must be a positive number.');
+
+    const request = new MemoryOpenRequest();
+
+    tick(() => {
+
+      const
+        data = this.#db.get(name),
+        oldVersion = data?.version ?? 0;
+
+      version ??= oldVersion || 1;
+
+      if (version < oldVersion) {
+        request.readyState = 'done';
+        request.error = domError('VersionError', 'The requested version is less than the existing version.');
+        dispatch(request, 'error');
+        return;
+      }
+
+      // no upgrade
+      if (version === oldVersion) {
+        const db = this.#connect(name);
+        request.readyState = 'done';
+        request.result = db;
+        dispatch(request, 'success');
+        return;
+      }
+
+      // upgrade once other connections close
+      this.#versionChange(name, request, oldVersion, version, () => this.#upgrade(name, request, oldVersion, version));
+
+    });
+
+    return request;
+
+  }
+
+  /**
+   * delete a database
+   * @param {string} name - database name
+   * @returns {MemoryOpenRequest} - delete request
+   */
+  deleteDatabase(name) {
+
+    const request = new MemoryOpenRequest();
+
+    tick(() => {
+
+      const oldVersion = this.#db.get(name)?.version ?? 0;
+
+      this.#versionChange(name, request, oldVersion, null, () => {
+        this.#db.delete(name);
+        request.readyState = 'done';
+        dispatch(request, 'success', { oldVersion, newVersion: null });
+      });
+
+    });
+
+    return request;
+
+  }
+
+  /**
+   * list databases
+   * @returns {Promise} - resolves with an array of { name, version } objects
+   */
+  databases() {
+    return Promise.resolve( Array.from(this.#db.values(), ({ name, version }) => ({ name, version })) );
+  }
+
+  /**
+   * compare two keys
+   * @param {*} a - first key
+   * @param {*} b - second key
+   * @returns {number} - -1, 0, or 1
+   */
+  cmp(a, b) {
+    return cmp(a, b);
+  }
+
+  // new connection
+  #connect(name) {
+
+    const
+      data = this.#db.get(name),
+      db = new MemoryDatabase(this, data);
+
+    if (!this.#conn.has(name)) this.#conn.set(name, new Set());
+    this.#conn.get(name).add(db);
+    return db;
+
+  }
+
+  // notify open connections and wait for them to close
+  #versionChange(name, request, oldVersion, newVersion, run) {
+
+    const open = () => Array.from(this.#conn.get(name) || []).filter(c => !c._closed);
+
+    open().forEach(c => dispatch(c, 'versionchange', { oldVersion, newVersion }));
+
+    if (!open().length) {
+      run();
+      return;
+    }
+
+    // wait before dispatching so a connection closed by a blocked listener releases the request
+    this.#wait.push({ name, open, run });
+    dispatch(request, 'blocked', { oldVersion, newVersion });
+
+  }
+
+  // run waiting requests once connections close
+  _check(name) {
+
+    const conn = this.#conn.get(name);
+    conn?.forEach(c => c._closed && conn.delete(c));
+
+    this.#wait = this.#wait.filter(w => {
+      if (w.name !== name || w.open().length) return true;
+      tick(w.run);
+      return false;
+    });
+
+  }
+
+  // run versionchange transaction
+  #upgrade(name, request, oldVersion, version) {
+
+    if (!this.#db.has(name)) this.#db.set(name, { name, version: 0, store: new Map(), running: [] });
+
+    const
+      data = this.#db.get(name),
+      db = this.#connect(name),
+      transaction = new MemoryTransaction(db, Array.from(data.store.keys()), 'versionchange');
+
+    db._upgradeStart(transaction);
+    data.version = version;
+    db.version = version;
+
+    db._upgradeDone = () => {
+
+      request.transaction = null;
+      request.readyState = 'done';
+
+      if (transaction.error !== null || db._data.version !== version) {
+        // aborted
+        db.close();
+        if (!oldVersion) this.#db.delete(name);
+        request.result = undefined;
+        request.error = domError('AbortError', 'The version change transaction was aborted.');
+        dispatch(request, 'error');
+      }
+      else {
+        dispatch(request, 'success');
+      }
+
+    };
+
+    // abort without error
+    const abort = transaction.abort.bind(transaction);
+    transaction.abort = error => {
+      abort(error ?? domError('AbortError', 'The version change transaction was aborted.'));
+    };
+
+    request.result = db;
+    request.transaction = transaction;
+    request.readyState = 'done';
+    dispatch(request, 'upgradeneeded', { oldVersion, newVersion: version });
+
+  }
+
+}
+
+
+// shared in-memory backend
+export const memory = {
+  indexedDB: new MemoryFactory(),
+  IDBKeyRange: MemoryKeyRange
+};
@@ -1,3 +1,21 @@
+import { schemaApply, schemaUncopied } from './schema.js';
+import { PixQuery } from './query.js';
+import { encode, decode } from './serialize.js';
+import { memory } from './memory.js';
+import { encryptValue, decryptValue } from './crypto.js';
+import { compressValue, decompressValue } from './compress.js';
+import { chunkSplit, chunkRefs, chunkJoin } from './chunk.js';
+import { validateRecord } from './validate.js';
+import { LRUCache, keyId, queryId } from './cache.js';
+import { tokenize, tokenCount, queryTerms } from './search.js';
+import { PixDBError, NotFoundError, VersionError, TransactionAbortedError, ConnectionClosedError, ValidationError, toError } from './errors.js';
+import { META, CHUNK, CHANGELOG, REVISION, SEARCH, SEARCHDOC, isInternal, sameKeyPath, valueAt, valueSet, request, sizeOf } from './util.js';
+
+export {
+  PixDBError, ConstraintError, NotFoundError, QuotaExceededError,
+  VersionError, TransactionAbortedError, ConnectionClosedError, ValidationError
+} from './errors.js';
+
 /**
  * Promise-based IndexedDB object class
  * @class
@@ -7,12 +25,54 @@ export class PixDB {
   #db = null;
   #dbName = null;
   #dbVersion = null;
+  #dbSchema = null;
+  #dbUpgrade = null;
+  #dbClosed = false;
+  #connecting = null;
+  #options = {};
+  #listeners = {};
+  #channel = null;
+  #txChange = new WeakMap();
+  #expireField = {};
+  #packing = {};
+  #cryptoKeys = {};
+  #chunkPending = new Set();
+  #sweep = null;
+  #backend = null;
+  #plugins = [];
+  #builtin = [];
+  #cache = {};
+  #trackQueue = new WeakMap();
+  #search = {};
+  #syncQueue = null;
+  #evictCfg = {};
+  #evictSize = {};
+  #evictQueue = {};
 
   /**
    * initialize database
    * @param {string} dbName - database name
-   * @param {number} dbVersion - database version
+   * @param {number|object} dbVersion - database version or a schema object (see below)
+   * @param {number} dbVersion.version - schema: database version
+   * @param {object} dbVersion.stores - schema: store definitions ({ keyPath, autoIncrement, indexes, validate, relations }) keyed by store name
+   * @param {object} dbVersion.migrate - schema: data migration functions (passed a transaction object) keyed by version number
    * @param {function} dbUpgradeFn - database upgrade function (passed init, oldVersion, newVersion)
+   * @param {object} options - database options (passed as the third parameter when using a schema)
+   * @param {boolean} options.broadcast - relay change events to other tabs using a BroadcastChannel
+   * @param {boolean} options.closeOnVersionChange - close the connection when another tab upgrades or deletes the database (default true)
+   * @param {object} options.on - event listener functions keyed by event type (see on())
+   * @param {object} options.expire - record expiry settings ({ index, field, ttl }) keyed by store name
+   * @param {number} options.sweep - delete expired records every sweep milliseconds
+   * @param {string|object} options.backend - storage backend: 'indexeddb' (default), 'memory', 'auto' (IndexedDB when available, otherwise memory), or an object with indexedDB and IDBKeyRange properties
+   * @param {object} options.encrypt - AES-GCM CryptoKey or encryption settings ({ key, previous, clear }) keyed by store name
+   * @param {object} options.compress - compression format (gzip, deflate, deflate-raw) or settings ({ format, minSize, clear }) keyed by store name
+   * @param {object} options.chunk - maximum binary value size in bytes or settings ({ size }) keyed by store name
+   * @param {object} options.validate - validation functions or JSON Schema subset objects keyed by store name
+   * @param {array} options.plugins - plugins to register (see use())
+   * @param {object} options.cache - maximum cached records or LRU cache settings ({ max, maxBytes }) keyed by store name
+   * @param {object} options.sync - true or sync settings ({ conflict }) keyed by store name (see sync())
+   * @param {object} options.relations - relation definitions ({ store, field, index, many, cascade }) keyed by relation name keyed by store name
+   * @param {object} options.evict - eviction settings ({ max, maxBytes, policy, index }) keyed by store name
    * @return {Promise} - resolves/rejects when database connection is established
    * @example
    * const db = await new PixDB('test', 1, (init, oldVersion, newVersion) => {
@@ -21,202 +81,333 @@ export class PixDB {
    *     case 0: { init.createObjectStore('state', { keyPath: 'name' }); }
    *   }
    * });
+   * @example
+   * const db = await new PixDB('test', {
+   *   version: 2,
+   *   stores: {
+   *     state: { keyPath: 'name', indexes: { updateIdx: 'update' } }
+   *   },
+   *   migrate: {
+   *     2: async tx => {
+   *       const all = await tx.getAll({ store: 'state' });
+   *       await tx.put({ store: 'state', item: all.map(r => ({ ...r, update: new Date() })) });
+   *     }
+   *   }
+   * });
    */
-  constructor( dbName, dbVersion, dbUpgradeFn ) {
+  constructor( dbName, dbVersion, dbUpgradeFn, options ) {
+
+    // declarative schema
+    if (dbVersion && typeof dbVersion === 'object') {
+      this.#dbSchema = dbVersion;
+      dbVersion = dbVersion.version;
+      options = dbUpgradeFn;
+      dbUpgradeFn = null;
+    }
 
     this.#dbName = dbName || 'db';
     this.#dbVersion = dbVersion || 1;
+    this.#options = options || {};
+    this.#dbUpgrade = dbUpgradeFn || null;
+    this.#backend = PixDB.#backendGet(this.#options.backend);
+
+    // initial event listeners
+    Object.entries(this.#options.on || {}).forEach(([ type, fn ]) => this.on(type, fn));
+
+    // plugins
+    this.#builtin = [ this.#expirePlugin(), this.#evictPlugin(), this.#cachePlugin() ];
+    (this.#options.plugins || []).forEach(plugin => this.use(plugin));
 
-    return this.#dbConnect( dbUpgradeFn );
+    return this.#dbConnect();
 
   }
 
 
   /**
-   * reconnect to database after close() has been run
-   * @returns {Promise} - resolves/rejects when database connection is established
+   * PRIVATE: resolve storage backend
+   * @private
+   * @param {string|object} backend - indexeddb, memory, auto, an IDBFactory, or an object with indexedDB and IDBKeyRange properties
+   * @returns {object|null} - { indexedDB, IDBKeyRange } or null when unavailable
    */
-  connect() {
-    return this.#dbConnect().then(() => true).catch(() => false);
+  static #backendGet(backend = 'indexeddb') {
+
+    if (backend === 'memory') return memory;
+
+    // injected implementation
+    if (backend && typeof backend === 'object') {
+      return typeof backend.open === 'function' ?
+        { indexedDB: backend, IDBKeyRange: globalThis.IDBKeyRange } :
+        backend;
+    }
+
+    // native IndexedDB
+    if (globalThis.indexedDB && globalThis.IDBKeyRange) {
+      return { indexedDB: globalThis.indexedDB, IDBKeyRange: globalThis.IDBKeyRange };
+    }
+
+    return backend === 'auto' ? memory : null;
+
   }
 
 
   /**
-   * close database connection
+   * PRIVATE: get the IDBFactory of a storage backend
+   * @private
+   * @param {string|object} backend - storage backend (see constructor options)
+   * @param {string} operation - method name used in errors
+   * @returns {IDBFactory} - factory
    */
-  close() {
-    this.#db.close();
-    this.#db = null;
+  static #factory(backend, operation) {
+
+    const factory = PixDB.#backendGet(backend)?.indexedDB;
+    if (!factory) throw new PixDBError('No indexedDB support', { operation });
+    return factory;
+
   }
 
 
   /**
-   * PRIVATE: initialize database Promise
-   * @private
-   * @param {function} dbUpgradeFn - database upgrade function (passed init, oldVersion, newVersion)
-   * @return {Promise} - resolves/rejects when database connection is established
+   * list the databases available to the page
+   * @param {object} param
+   * @param {string|object} param.backend - storage backend (see constructor options)
+   * @returns {Promise} - resolves/rejects with an array of { name, version } objects. The version is the IndexedDB version, which is higher than the application version when PixDB has added internal stores
+   * @example
+   * const list = await PixDB.databases();
    */
-  #dbConnect( dbUpgradeFn ) {
+  static async databases({ backend } = {}) {
 
-    return new Promise((resolve, reject) => {
+    try {
 
-      // no IndexedDB support
-      if (!('indexedDB' in window)) {
-        reject(new Error('No indexedDB support'));
-        return;
-      }
+      const factory = PixDB.#factory(backend, 'databases');
+      if (typeof factory.databases !== 'function') throw new PixDBError('This browser cannot list databases', { operation: 'databases' });
 
-      // open database
-      const dbOpen = indexedDB.open(this.#dbName, this.#dbVersion);
+      return (await factory.databases()).map(({ name, version }) => ({ name, version }));
 
-      // success
-      dbOpen.onsuccess = () => {
-        this.#db = dbOpen.result;
-        resolve( this );
-      };
+    }
+    catch (e) {
+      throw toError(e, { operation: 'databases' });
+    }
 
-      // failure
-      dbOpen.onerror = e => {
-        console.log(e);
-        reject(new Error(`IndexedDB error ${ e.target.errorCode }: ${ e.target.message }`, { cause: e }));
-      };
+  }
 
-      // database upgrade event
-      if (dbUpgradeFn) {
 
-        dbOpen.onupgradeneeded = e => {
-          dbUpgradeFn( dbOpen.result, e.oldVersion, e.newVersion );
+  /**
+   * does a database exist?
+   * @param {string} name - database name
+   * @param {object} param
+   * @param {string|object} param.backend - storage backend (see constructor options)
+   * @returns {Promise} - resolves/rejects with true when the database exists
+   * @example
+   * if (!await PixDB.exists('test')) console.log('first run');
+   */
+  static async exists(name, { backend } = {}) {
+
+    try {
+
+      const factory = PixDB.#factory(backend, 'exists');
+      if (typeof factory.databases === 'function') return (await factory.databases()).some(d => d.name === name);
+
+      // open the database and cancel its creation
+      return await new Promise((resolve, reject) => {
+
+        let created = false;
+        const request = factory.open(name);
+
+        request.onupgradeneeded = () => {
+          created = true;
+          request.transaction.abort();
         };
 
-      }
+        request.onsuccess = () => {
+          request.result.close();
+          resolve(true);
+        };
 
-    });
+        request.onerror = e => {
+          if (!created) {
+            reject( toError(request.error) );
+            return;
+          }
+          e.preventDefault?.();
+          resolve(false);
+        };
 
-  }
+      });
 
+    }
+    catch (e) {
+      throw toError(e, { operation: 'exists' });
+    }
 
-  /**
-   * is database connection active?
-   * @return {boolean} - database connection state
-   */
-  get isConnected() {
-    return !!this.#db;
   }
 
 
   /**
-   * get active database name
-   * @return {string} - database name
+   * delete a database by name. Open PixDB connections close unless they set closeOnVersionChange to false
+   * @param {string} name - database name
+   * @param {object} param
+   * @param {string|object} param.backend - storage backend (see constructor options)
+   * @param {function} param.blocked - function passed { name, oldVersion } when other open connections delay the deletion
+   * @returns {Promise} - resolves/rejects when the database has been deleted (it also resolves when the database does not exist)
+   * @example
+   * await PixDB.delete('test', { blocked: () => console.log('close other tabs to continue') });
    */
-  get name() {
-    return this.#dbName;
-  }
+  static async delete(name, { backend, blocked } = {}) {
 
+    try {
+      await PixDB.#dbDelete(PixDB.#factory(backend, 'delete'), name, e => blocked?.({ name, ...e }));
+      return true;
+    }
+    catch (e) {
+      throw toError(e, { operation: 'delete' });
+    }
 
-  /**
-   * get active database version
-   * @return {number} - database version
-   */
-  get version() {
-    return this.#dbVersion;
   }
 
 
   /**
-   * PRIVATE: generic database update
-   * @private
-   * @param {string} storeName - store to update
-   * @param {object|array} record - single object or array of objects to store
-   * @param {boolean} overwrite - set true to permit record overwrites
-   * @return {Promise} - resolves/rejects when all records have been written
+   * copy the stores, indexes, and records of a database to a new database
+   * @param {string} from - source database name
+   * @param {string} to - new database name
+   * @param {object} param
+   * @param {string|object} param.backend - storage backend (see constructor options)
+   * @param {boolean} param.overwrite - delete an existing database named to
+   * @param {number} param.batch - records copied per transaction (default 500)
+   * @returns {Promise} - resolves/rejects with the number of copied records
+   * @example
+   * await PixDB.copy('app', 'app-backup');
    */
-  #update(storeName, record, overwrite) {
+  static async copy(from, to, { backend, overwrite = false, batch = 500 } = {}) {
 
-    return new Promise((resolve, reject) => {
+    let source, target;
 
-      // readwrite transaction
-      const { transaction, store } = this.#query(storeName, null, true);
+    try {
 
-      transaction.oncomplete = () => resolve();
+      const
+        factory = PixDB.#factory(backend, 'copy'),
+        KeyRange = PixDB.#backendGet(backend).IDBKeyRange;
 
-      transaction.onerror = e => {
-        reject( new Error(e.target.error.message, { cause: e }) );
-      };
+      if (from === to) throw new PixDBError(`Database ${ from } cannot be copied to itself`);
+      if (!await PixDB.exists(from, { backend })) throw new NotFoundError(`Database ${ from } not found`);
+
+      if (await PixDB.exists(to, { backend })) {
+        if (!overwrite) throw new PixDBError(`Database ${ to } already exists`);
+        await PixDB.delete(to, { backend });
+      }
 
-      // ensure values in an array
-      record = Array.isArray(record) ? record : [ record ];
+      source = await PixDB.#dbRaw(factory, from);
+
+      // create stores and indexes (including PixDB's internal stores)
+      const
+        name = Array.from(source.objectStoreNames),
+        tx = name.length ? source.transaction(name, 'readonly') : null,
+        def = name.map(n => PixDB.#storeDef( tx.objectStore(n) ));
+
+      target = await PixDB.#dbRaw(factory, to, source.version, db => {
+
+        def.forEach(({ name, keyPath, autoIncrement, indexes }) => {
+          const store = db.createObjectStore(name, { keyPath, autoIncrement });
+          indexes.forEach(({ name, keyPath, unique, multiEntry }) => store.createIndex(name, keyPath, { unique, multiEntry }));
+        });
 
-      // write all values
-      record.forEach(v => {
-        if (overwrite) store.put(v);
-        else store.add(v);
       });
 
-      // commit changes
-      transaction.commit();
+      // copy records in batches
+      const size = Math.max(1, parseInt(batch, 10) || 1);
+      let count = 0;
 
-    });
+      for (const { name, keyPath } of def) {
 
-  }
+        let range;
 
+        for (;;) {
+
+          const
+            store = source.transaction(name, 'readonly').objectStore(name),
+            [ keys, values ] = await Promise.all([ request( store.getAllKeys(range, size) ), request( store.getAll(range, size) ) ]);
+
+          if (!keys.length) break;
+
+          await new Promise((resolve, reject) => {
+
+            const
+              transaction = target.transaction(name, 'readwrite'),
+              dest = transaction.objectStore(name);
+
+            values.forEach((v, i) => keyPath === null ? dest.put(v, keys[i]) : dest.put(v));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject( toError(transaction.error, { store: name }) );
+
+          });
+
+          count += keys.length;
+          if (keys.length < size) break;
+          range = KeyRange.lowerBound(keys.at(-1), true);
+
+        }
+
+      }
+
+      return count;
+
+    }
+    catch (e) {
+
+      // remove a partial copy
+      if (target) {
+        target.close();
+        target = null;
+        await PixDB.delete(to, { backend }).catch(() => {});
+      }
+
+      throw toError(e, { operation: 'copy' });
+
+    }
+    finally {
+      source?.close();
+      target?.close();
+    }
 
-  /**
-   * add new records (overwrites not permitted)
-   * @param {cbject} param
-   * @param {string} param.store - object store (required)
-   * @param {object|array} param.item - single record or an array of records to add
-   * @return {Promise} - resolves/rejects when all records have been written
-   * @example
-   * // add single record
-   * await db.add({ store: 'state', item: { name: 'a', value: 1 } });
-   * @example
-   * // add two records
-   * await db.add({ store: 'state', item: [ { name: 'b', value: 2 }, { name: 'c', value: 3 } ] });
-   */
-  add({ store, item = [] } = {}) {
-    return this.#update(store, item, false);
   }
 
 
   /**
-   * add/update records (overwrites permitted)
-   * @param {cbject} param
-   * @param {string} param.store - object store (required)
-   * @param {object|array} param.item - single record or an array of records to add
-   * @return {Promise} - resolves/rejects when all records have been written
-   * @example
-   * // add/update single record
-   * await db.add({ store: 'state', item: { name: 'a', value: 99 } });
+   * rename a database by copying it to a new database then deleting the original
+   * @param {string} from - database name
+   * @param {string} to - new database name
+   * @param {object} param - copy() and delete() parameters
+   * @returns {Promise} - resolves/rejects with the number of copied records
    * @example
-   * // add/update two records
-   * await db.add({ store: 'state', item: [ { name: 'b', value: 98 }, { name: 'c', value: 97 } ] });
+   * await PixDB.rename('app-next', 'app', { overwrite: true });
    */
-  put({ store, item = [] } = {}) {
-    return this.#update(store, item, true);
+  static async rename(from, to, param = {}) {
+
+    const count = await PixDB.copy(from, to, param);
+    await PixDB.delete(from, param);
+    return count;
+
   }
 
 
   /**
-   * PRIVATE: generic database execute
+   * PRIVATE: open a database connection without PixDB features
    * @private
-   * @param {string} storeName - store to use
-   * @param {string} indexName - index to use
-   * @param {string} method - store/index method to execute
-   * @param {array} args - array of method arguments
-   * @return {Promise} Resolves/rejects when operation completes
+   * @param {IDBFactory} factory - factory
+   * @param {string} name - database name
+   * @param {number} [version] - version (the current version when not set)
+   * @param {function} [upgrade] - function passed the IDBDatabase when it is created or upgraded
+   * @returns {Promise} - resolves/rejects with the IDBDatabase
    */
-  #exec(storeName, indexName, method, args) {
+  static #dbRaw(factory, name, version, upgrade) {
 
     return new Promise((resolve, reject) => {
 
-      args = Array.isArray(args) ? args : [ args ];
-
-      const
-        write = method === 'delete' || method === 'clear',
-        request = this.#query(storeName, indexName, write).store[ method ]( ...args );
+      const dbOpen = version ? factory.open(name, version) : factory.open(name);
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error ?? false);
+      dbOpen.onsuccess = () => resolve(dbOpen.result);
+      dbOpen.onerror = () => reject( toError(dbOpen.error, { operation: 'open' }) );
+      dbOpen.onupgradeneeded = () => upgrade?.(dbOpen.result);
 
     });
 
@@ -224,227 +415,4417 @@ export class PixDB {
 
 
   /**
-   * count items in an object store/index
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} param.lowerBound - lower key value
-   * @param {*} param.upperBound - upper key value
-   * @returns {Promise} - resolves/rejects when number of records is known
-   * @example
-   * console.log(`records in 'state' store: ${ await db.count({ store: 'state' }) }`);
-   * @example
-   * console.log(`records in 'state' store starting at 'x': ${ await db.count({ store: 'state', lowerBound: 'x' }) }`);
+   * PRIVATE: delete a database
+   * @private
+   * @param {IDBFactory} factory - factory
+   * @param {string} name - database name
+   * @param {function} [blocked] - function passed { oldVersion } when other open connections delay the deletion
+   * @returns {Promise} - resolves/rejects when the database has been deleted
    */
-  count({ store, index, lowerBound, upperBound } = {}) {
+  static #dbDelete(factory, name, blocked) {
 
-    return this.#exec(
-      store,
-      index,
-      'count',
-      this.#bound(lowerBound, upperBound)
-    );
+    return new Promise((resolve, reject) => {
+
+      const request = factory.deleteDatabase(name);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject( toError(request.error) );
+      request.onblocked = e => blocked?.({ oldVersion: e.oldVersion });
+
+    });
 
   }
 
 
   /**
-   * return a single item by key
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} key - key value to find (required)
-   * @returns {Promise} - resolves/rejects when record is found or not found
-   * @example
-   * const a = await db.get({ store: 'state', key: 'a'});
+   * reconnect to database after close() has been run
+   * @returns {Promise} - resolves/rejects when database connection is established
    */
-  get({ store, index, key } = {}) {
+  connect() {
+    this.#dbClosed = false;
+    return this.#ready().then(() => true);
+  }
 
-    return this.#exec(
-      store,
-      index,
-      'get',
-      key
-    );
 
+  /**
+   * close database connection
+   */
+  close() {
+    this.#dbClosed = true;
+    clearInterval(this.#sweep);
+    this.#sweep = null;
+    this.#disconnect('close');
+    this.#channel?.close();
+    this.#channel = null;
   }
 
 
   /**
-   * returns an array of records in a range
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} param.lowerBound - lower key value
-   * @param {*} param.upperBound - upper key value
-   * @param {number} param.count - maximum number of records to return
-   * @returns {Promise} - resolves/rejects when an array of records is found
-   * @example
-   * const all = await db.getAll({ store: 'state', lowerBound: 'a', upperBound: 'z' });
+   * PRIVATE: close active database connection
+   * @private
+   * @param {string} reason - close, versionchange, or unexpected
    */
-  getAll({ store, index, lowerBound, upperBound, count } = {}) {
+  #disconnect(reason) {
 
-    return this.#exec(
-      store,
-      index,
-      'getAll',
-      [ this.#bound(lowerBound, upperBound), count ]
-    );
+    if (!this.#db) return;
+
+    this.#db.close();
+    this.#db = null;
+    this.#emit('close', { reason });
 
   }
 
 
   /**
-   * returns an array of key values in a range
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} param.lowerBound - lower key value
-   * @param {*} param.upperBound - upper key value
-   * @param {number} param.count - maximum number of records to return
-   * @returns {Promise} - resolves/rejects when an array of keys is found
-   * @example
-   * const allKeys = await db.getAllKeys({ store: 'state' });
+   * PRIVATE: wait for an open database connection.
+   * Operations issued while a connection is opening are queued and a connection closed by the browser or another tab is reopened
+   * @private
+   * @param {IDBTransaction} [tx] - shared transaction (resolves immediately when set)
+   * @return {Promise} - resolves when the connection is open or rejects when the connection has been closed
    */
-  getAllKeys({ store, index, lowerBound, upperBound, count } = {}) {
+  #ready(tx) {
 
-    return this.#exec(
-      store,
-      index,
-      'getAllKeys',
-      [ this.#bound(lowerBound, upperBound), count ]
-    );
+    if (tx || this.#db) return Promise.resolve();
+    if (this.#connecting) return this.#connecting;
+    if (this.#dbClosed) return Promise.reject( this.#closedError() );
+    return this.#dbConnect();
 
   }
 
 
   /**
-   * delete a record
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {*} key - key value to find (required)
-   * @returns {Promise} - resolves/rejects when record is deleted
+   * add an event listener
+   * @param {string} type - event type: change, blocked, versionchange, or close
+   * @param {function} fn - listener function. A change event is passed an object with store, type (add, put, update, delete, or clear), keys (array or null when unknown), and remote (true when changed in another tab) properties
+   * @returns {PixDB} - this database
    * @example
-   * await db.delete({ store: 'state', key: 'a' });
+   * db.on('change', ({ store, type, keys }) => console.log(`${ type } in ${ store }:`, keys));
    */
-  delete({ store, key } = {}) {
+  on(type, fn) {
+    (this.#listeners[type] ??= new Set()).add(fn);
+    return this;
+  }
 
-    return this.#exec(
-      store,
-      null,
-      'delete',
-      [ key ]
-    );
 
+  /**
+   * remove an event listener
+   * @param {string} type - event type
+   * @param {function} fn - listener function passed to on()
+   * @returns {PixDB} - this database
+   */
+  off(type, fn) {
+    this.#listeners[type]?.delete(fn);
+    return this;
   }
 
 
   /**
-   * delete all records in a range
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} param.lowerBound - lower key value
-   * @param {*} param.upperBound - upper key value
-   * @returns {Promise} - resolves/rejects when all records are deleted
+   * register a plugin which runs before and after add, put, get, getAll, getAllKeys, getKeys, distinct, count, delete, deleteAll, clear, and getCursor operations.
+   * A hook is a function or an object of functions keyed by operation name. It is passed a context object with
+   * operation, param, db, and transaction properties (and a result property in after hooks).
+   * Before hooks can change ctx.param or set ctx.result to skip the operation. After hooks can change ctx.result.
+   * Hooks run in registration order before an operation and in reverse order after it
+   * @param {object} plugin
+   * @param {string} plugin.name - plugin name
+   * @param {function|object} plugin.before - hook run before an operation
+   * @param {function|object} plugin.after - hook run after an operation
+   * @returns {PixDB} - this database
    * @example
-   * await db.deleteAll({ store: 'state', lowerBound: 'x', upperBound: 'z' });
+   * db.use({
+   *   name: 'timestamp',
+   *   before: {
+   *     put: ctx => {
+   *       const stamp = r => ({ ...r, update: new Date() });
+   *       ctx.param.item = Array.isArray(ctx.param.item) ? ctx.param.item.map(stamp) : stamp(ctx.param.item);
+   *     }
+   *   }
+   * });
    */
-  deleteAll({ store, index, lowerBound, upperBound } = {}) {
+  use(plugin) {
 
-    return this.#exec(
-      store,
-      index,
-      'delete',
-      [ this.#bound(lowerBound, upperBound) ]
-    );
+    if (!plugin || typeof plugin !== 'object') throw new PixDBError('A plugin must be an object with before and/or after hooks', { operation: 'use' });
+
+    this.#plugins.push(plugin);
+    return this;
 
   }
 
 
   /**
-   * deletes all records in a store
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @returns {Promise} - resolves/rejects when all records are deleted
-   * @example
-   * await db.clear({ store: 'state' });
+   * PRIVATE: run an operation through plugin hooks
+   * @private
+   * @param {string} operation - operation name
+   * @param {object} param - operation parameter object
+   * @param {IDBTransaction} [tx] - shared transaction
+   * @param {function} fn - async function passed the (modified) parameter object and the parameter object before built-in plugins ran, which runs the operation
+   * @returns {Promise} - resolves/rejects with the operation result
    */
-  clear({ store } = {}) {
+  async #pipe(operation, param = {}, tx, fn) {
 
-    return this.#exec(
-      store,
-      null,
-      'clear'
-    );
+    const
+      ctx = { operation, param: { ...param }, db: this, transaction: !!tx },
+      hook = (plugin, when) => {
+        const h = plugin?.[when];
+        return typeof h === 'function' ? h : h?.[operation];
+      },
+      ran = [];
 
-  }
+    let input = ctx.param;
 
+    try {
 
-  /**
-   * fetch all records in a range and pass each to a processing function
-   * @param {object} param
-   * @param {string} param.store - object store (required)
-   * @param {string} param.index - object store index
-   * @param {*} param.lowerBound - lower key value
+      await this.#ready(tx);
+
+      for (const plugin of [ ...this.#plugins, ...this.#builtin ]) {
+
+        // parameters before built-in plugins set fields managed by PixDB, e.g. expiry dates
+        if (plugin === this.#builtin[0]) input = ctx.param;
+
+        ran.push(plugin);
+        await hook(plugin, 'before')?.(ctx);
+
+        // short-circuit: result set by a plugin
+        if ('result' in ctx) break;
+
+      }
+
+      if (!('result' in ctx)) ctx.result = await fn(ctx.param || {}, input || {});
+
+      for (const plugin of ran.reverse()) {
+        await hook(plugin, 'after')?.(ctx);
+      }
+
+    }
+    catch (e) {
+      throw toError(e, { store: ctx.param?.store, operation });
+    }
+
+    return ctx.result;
+
+  }
+
+
+  /**
+   * PRIVATE: run event listeners
+   * @private
+   * @param {string} type - event type
+   * @param {object} detail - event data
+   */
+  #emit(type, detail) {
+
+    // a failing listener does not stop others: its error is rethrown asynchronously
+    this.#listeners[type]?.forEach(fn => {
+      try { fn(detail); }
+      catch (e) { queueMicrotask(() => { throw e; }); }
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: raise a change event once data is committed
+   * @private
+   * @param {string} store - object store name
+   * @param {string} type - change type: add, put, update, delete, or clear
+   * @param {array|null} keys - changed primary keys (null when unknown)
+   * @param {IDBTransaction} [tx] - shared transaction (the event is raised when it commits)
+   */
+  #change(store, type, keys, tx) {
+
+    const change = { store, type, keys };
+
+    // shared transaction
+    if (tx) {
+      this.#txChange.get(tx)?.push(change);
+      return;
+    }
+
+    this.#cacheGet(store)?.delete(keys);
+    if (type !== 'add' && type !== 'put') delete this.#evictSize[store];
+    this.#emit('change', { ...change, remote: false });
+    this.#channel?.postMessage(change);
+
+    // remove unused chunks
+    if (type !== 'add' && this.#options.chunk?.[store]) this.#chunkClean(store);
+
+  }
+
+
+  /**
+   * watch a store range and pass matching records to a callback when data changes
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {function} callback - passed an array of records immediately and after every change
+   * @returns {function} - call to stop observing
+   * @example
+   * const stop = db.observe({ store: 'state', lowerBound: 'a', upperBound: 'c' }, rec => render(rec));
+   */
+  observe({ store, index, lowerBound, upperBound, range } = {}, callback) {
+
+    const bound = index ? undefined : this.#keyRange(range, lowerBound, upperBound);
+    let pending = false;
+
+    // fetch records
+    const refresh = () => {
+
+      if (pending) return;
+      pending = true;
+
+      queueMicrotask(() => {
+        pending = false;
+        this.getAll({ store, index, lowerBound, upperBound, range })
+          .then(callback)
+          .catch(() => {});
+      });
+
+    };
+
+    // change handler
+    const listener = change => {
+
+      if (change.store !== store) return;
+
+      if (bound && change.keys && !change.keys.some(k => {
+        try { return bound.includes(k); }
+        catch { return false; }
+      })) return;
+
+      refresh();
+
+    };
+
+    this.on('change', listener);
+    refresh();
+
+    return () => this.off('change', listener);
+
+  }
+
+
+  /**
+   * PRIVATE: initialize database Promise.
+   * Internal upgrades such as import() increase the IndexedDB version beyond the application's version
+   * so the application's version is recorded in a meta data store when they differ
+   * @private
+   * @return {Promise} - resolves/rejects when database connection is established
+   */
+  #dbConnect() {
+
+    this.#connecting = (async () => {
+
+      // no IndexedDB support
+      if (!this.#backend?.indexedDB || !this.#backend?.IDBKeyRange) {
+        throw new PixDBError('No indexedDB support', { operation: 'open' });
+      }
+
+      const version = this.#dbVersion;
+      let db, upgraded = false;
+
+      try {
+
+        db = await this.#dbOpen(version, (transaction, oldVersion) => {
+          upgraded = true;
+          return this.#dbUpgradeRun(transaction, oldVersion, version);
+        });
+
+      }
+      catch (e) {
+
+        // IndexedDB version is higher following an internal upgrade
+        if (!(e instanceof VersionError)) throw e;
+        db = await this.#dbOpen();
+
+      }
+
+      // compare application version
+      if (!upgraded) {
+
+        const current = await this.#dbAppVersion(db);
+
+        if (current > version) {
+          db.close();
+          throw new VersionError(`Database ${ this.#dbName } version ${ current } is newer than requested version ${ version }`, { operation: 'open' });
+        }
+
+        if (current < version) {
+          const next = db.version + 1;
+          db.close();
+          db = await this.#dbOpen(next, (transaction, oldVersion) => this.#dbUpgradeRun(transaction, oldVersion, version));
+        }
+
+      }
+
+      // create sync stores
+      if (this.#options.sync && ![ CHANGELOG, REVISION ].every(n => db.objectStoreNames.contains(n))) {
+
+        const next = db.version + 1;
+        db.close();
+
+        db = await this.#dbOpen(next, transaction => {
+
+          const idb = transaction.db;
+
+          if (!idb.objectStoreNames.contains(META)) idb.createObjectStore(META).put(version, 'version');
+          if (!idb.objectStoreNames.contains(CHANGELOG)) idb.createObjectStore(CHANGELOG, { keyPath: 'seq', autoIncrement: true });
+          if (!idb.objectStoreNames.contains(REVISION)) idb.createObjectStore(REVISION);
+
+        });
+
+      }
+
+      await this.#searchLoad(db);
+      this.#dbAttach(db);
+      return this;
+
+    })().catch(e => {
+      throw toError(e, { operation: 'open' });
+    });
+
+    this.#connecting.then(
+      () => this.#connecting = null,
+      () => this.#connecting = null
+    );
+
+    return this.#connecting;
+
+  }
+
+
+  /**
+   * PRIVATE: open an IndexedDB database
+   * @private
+   * @param {number} [version] - IndexedDB version (the latest version is opened when not set)
+   * @param {function} [upgradeFn] - upgrade function passed the versionchange transaction and old version. It can return a Promise
+   * @return {Promise} - resolves with an IDBDatabase or rejects when it cannot be opened
+   */
+  #dbOpen(version, upgradeFn) {
+
+    return new Promise((resolve, reject) => {
+
+      // open database
+      const dbOpen = version ? this.#backend.indexedDB.open(this.#dbName, version) : this.#backend.indexedDB.open(this.#dbName);
+      let upgradeError;
+
+      // success
+      dbOpen.onsuccess = () => resolve(dbOpen.result);
+
+      // blocked by an open connection
+      dbOpen.onblocked = e => {
+        this.#emit('blocked', { oldVersion: e.oldVersion, newVersion: e.newVersion });
+      };
+
+      // failure
+      dbOpen.onerror = () => {
+        reject( toError(upgradeError ?? dbOpen.error, { operation: 'open' }) );
+      };
+
+      // database upgrade event
+      dbOpen.onupgradeneeded = e => {
+
+        Promise.resolve()
+          .then(() => upgradeFn && upgradeFn( dbOpen.transaction, e.oldVersion ))
+          .catch(err => {
+            upgradeError = err;
+            try { dbOpen.transaction.abort(); }
+            catch { /* already aborted */ }
+          });
+
+      };
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: run the application upgrade function or schema upgrade
+   * @private
+   * @param {IDBTransaction} transaction - versionchange transaction
+   * @param {number} oldVersion - existing IndexedDB version
+   * @param {number} newVersion - new application version
+   * @return {Promise} - resolves/rejects when the upgrade is complete
+   */
+  async #dbUpgradeRun(transaction, oldVersion, newVersion) {
+
+    const
+      db = transaction.db,
+      meta = db.objectStoreNames.contains(META) && transaction.objectStore(META);
+
+    // application version
+    if (meta) oldVersion = (await request( meta.get('version') )) ?? oldVersion;
+
+    if (this.#dbUpgrade) this.#dbUpgrade( db, oldVersion, newVersion );
+    else if (this.#dbSchema) await this.#schemaUpgrade( transaction, oldVersion, newVersion );
+
+    if (meta) meta.put(newVersion, 'version');
+
+  }
+
+
+  /**
+   * PRIVATE: get application version of an open database
+   * @private
+   * @param {IDBDatabase} db - open database
+   * @return {Promise} - resolves with the application version
+   */
+  async #dbAppVersion(db) {
+
+    if (!db.objectStoreNames.contains(META)) return db.version;
+
+    return (await request( db.transaction(META, 'readonly').objectStore(META).get('version') )) ?? db.version;
+
+  }
+
+
+  /**
+   * PRIVATE: use an open database connection
+   * @private
+   * @param {IDBDatabase} db - open database
+   */
+  #dbAttach(db) {
+
+    this.#db = db;
+    this.#packing = {};
+    this.#evictCfg = {};
+    this.#evictSize = {};
+    Object.values(this.#cache).forEach(c => c.clear());
+    this.#sweepStart();
+
+    // another connection wants to upgrade or delete the database
+    db.onversionchange = e => {
+
+      this.#emit('versionchange', { oldVersion: e.oldVersion, newVersion: e.newVersion });
+
+      if (this.#options.closeOnVersionChange ?? true) {
+        this.#disconnect('versionchange');
+      }
+
+    };
+
+    // closed by the browser
+    db.onclose = () => {
+      this.#db = null;
+      this.#emit('close', { reason: 'unexpected' });
+    };
+
+    // relay changes to and from other tabs
+    if ((this.#options.broadcast || this.#options.cache) && !this.#channel && 'BroadcastChannel' in globalThis) {
+      this.#channel = new BroadcastChannel(`pixdb:${ this.#dbName }`);
+      this.#channel.onmessage = e => {
+        this.#cacheGet(e.data.store)?.delete(e.data.keys);
+        if (this.#options.broadcast) this.#emit('change', { ...e.data, remote: true });
+      };
+    }
+
+  }
+
+
+  /**
+   * PRIVATE: upgrade the database structure without changing the application version
+   * @private
+   * @param {function} fn - upgrade function passed the IDBDatabase and versionchange transaction. It can return a Promise
+   * @return {Promise} - resolves/rejects when the upgrade is complete
+   */
+  async #upgrade(fn) {
+
+    await this.#ready();
+
+    const
+      db = this.#db,
+      version = db.version + 1,
+      appVersion = this.#dbVersion;
+
+    this.#db = null;
+    db.onclose = null;
+    db.close();
+
+    this.#connecting = this.#dbOpen(version, async transaction => {
+
+      const idb = transaction.db;
+
+      // record application version
+      if (!idb.objectStoreNames.contains(META)) {
+        idb.createObjectStore(META).put(appVersion, 'version');
+      }
+
+      await fn(idb, transaction);
+
+    })
+      .then(db => {
+        this.#dbAttach(db);
+        return this;
+      })
+      .finally(() => this.#connecting = null);
+
+    return this.#connecting;
+
+  }
+
+
+  /**
+   * PRIVATE: apply schema and run data migrations during an upgrade
+   * @private
+   * @param {IDBTransaction} transaction - versionchange transaction
+   * @param {number} oldVersion - existing database version
+   * @param {number} newVersion - new database version
+   * @return {Promise} - resolves/rejects when the upgrade is complete
+   */
+  async #schemaUpgrade( transaction, oldVersion, newVersion ) {
+
+    const
+      migrate = this.#dbSchema.migrate || {},
+      tx = this.#txWrap(transaction, { complete: false, finished: false, inactive: false, aborted: false, error: null });
+
+    const uncopied = await schemaApply( transaction.db, transaction, this.#dbSchema );
+
+    // run data migrations in version order
+    const version = Object.keys(migrate)
+      .map(Number)
+      .filter(v => v > oldVersion && v <= newVersion)
+      .sort((a, b) => a - b);
+
+    // records which do not fit a changed keyPath are passed to migrations
+    if (!version.length) schemaUncopied(uncopied);
+
+    for (const v of version) {
+      await migrate[v](tx, { oldVersion, newVersion, version: v, uncopied });
+    }
+
+  }
+
+
+  /**
+   * is database connection active?
+   * @return {boolean} - database connection state
+   */
+  get isConnected() {
+    return !!this.#db;
+  }
+
+
+  /**
+   * get active database name
+   * @return {string} - database name
+   */
+  get name() {
+    return this.#dbName;
+  }
+
+
+  /**
+   * get active database version
+   * @return {number} - database version
+   */
+  get version() {
+    return this.#dbVersion;
+  }
+
+
+  /**
+   * list the object stores in the database (PixDB's internal stores are not included)
+   * @returns {Promise} - resolves/rejects with an array of { name, keyPath, autoIncrement, indexes } objects where indexes is an array of { name, keyPath, unique, multiEntry } objects
+   * @example
+   * const names = (await db.stores()).map(s => s.name);
+   */
+  async stores() {
+
+    try {
+
+      await this.#ready();
+
+      const name = Array.from(this.#db.objectStoreNames).filter(n => !isInternal(n));
+      if (!name.length) return [];
+
+      const transaction = this.#tx(name, 'readonly');
+      return name.map(n => PixDB.#storeDef( transaction.objectStore(n) ));
+
+    }
+    catch (e) {
+      throw toError(e, { operation: 'stores' });
+    }
+
+  }
+
+
+  /**
+   * PRIVATE: generic database update.
+   * Records are written in one transaction unless a chunk size is set (ignored in a shared transaction)
+   * @private
+   * @param {string} storeName - store to update
+   * @param {object|array} record - single object or array of objects to store
+   * @param {boolean} overwrite - set true to permit record overwrites
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @param {object} [opt] - write options
+   * @param {boolean} [opt.continueOnError] - write every valid record and report failures rather than rejecting
+   * @param {number} [opt.chunk] - maximum records written per transaction (all records when not set)
+   * @param {function} [opt.progress] - function passed an object with store, done, and total properties after each chunk is written
+   * @param {object|array} [opt.validate] - records to validate in the same order, e.g. before PixDB set expiry dates (record when not set)
+   * @return {Promise} - resolves with the key (single record), an array of keys, or a { keys, errors } report when continueOnError is set
+   */
+  async #update(storeName, record, overwrite, tx, { continueOnError = false, chunk, progress, validate = record } = {}) {
+
+    const
+      operation = overwrite ? 'put' : 'add',
+      input = Array.isArray(record) ? record : [ record ],
+      invalid = this.#validate(storeName, [].concat(validate ?? []));
+
+    let
+      list = input,
+      chunkList = null,
+      position = null;
+
+    // invalid records
+    if (invalid.size) {
+
+      if (!continueOnError) throw this.#validateError(storeName, operation, [ ...invalid.values() ].flat());
+
+      // write valid records only
+      position = input.map((r, i) => i).filter(i => !invalid.has(i));
+      list = position.map(i => input[i]);
+
+    }
+
+    // encrypt, compress, or chunk values
+    if (!tx && this.#packed(storeName)) {
+
+      try {
+        await this.#ready();
+        const packed = await this.#pack(storeName, list);
+        list = packed.map(p => p.value);
+        chunkList = packed.map(p => p.chunk);
+      }
+      catch (e) {
+        throw toError(e, { store: storeName, operation });
+      }
+
+    }
+
+    const size = tx || !chunk ? Math.max(1, list.length) : Math.max(1, parseInt(chunk, 10) || 1);
+
+    let
+      keys = [],
+      errors = [];
+
+    for (let i = 0; i < list.length; i += size) {
+
+      const write = () => this.#write(storeName, list.slice(i, i + size), overwrite, tx, { continueOnError, offset: i, chunk: chunkList?.slice(i, i + size).flat() });
+      let res;
+
+      try {
+        res = await write();
+      }
+      catch (e) {
+
+        // storage quota exceeded: evict records and retry once
+        if (tx || e?.name !== 'QuotaExceededError' || !(await this.#evictFree(storeName, list.slice(i, i + size)))) throw e;
+        res = await write();
+
+      }
+
+      keys.push( ...res.keys );
+      errors.push( ...res.errors );
+      if (progress) progress({ store: storeName, done: keys.length, total: list.length });
+
+    }
+
+    // report invalid records in their original positions
+    if (position) {
+
+      const all = new Array(input.length).fill(undefined);
+      position.forEach((p, i) => all[p] = keys[i]);
+      keys = all;
+
+      errors = errors.map(e => ({ ...e, index: position[e.index] }));
+      invalid.forEach((err, index) => errors.push({ index, key: undefined, error: this.#validateError(storeName, operation, err) }));
+      errors.sort((a, b) => a.index - b.index);
+
+    }
+
+    if (continueOnError) return { keys, errors };
+    return Array.isArray(record) ? keys : keys[0];
+
+  }
+
+
+  /**
+   * PRIVATE: write records in a single transaction
+   * @private
+   * @param {string} storeName - store to update
+   * @param {array} record - array of objects to store
+   * @param {boolean} overwrite - set true to permit record overwrites
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @param {object} opt - write options
+   * @param {boolean} [opt.continueOnError] - write every valid record and report failures rather than rejecting
+   * @param {number} [opt.offset] - index of the first record in the original array (used in error reports)
+   * @param {array} [opt.chunk] - { key, data } chunk records to write in the same transaction
+   * @return {Promise} - resolves with { keys, errors } where keys has an undefined value for each failed record
+   */
+  #write(storeName, record, overwrite, tx, { continueOnError, offset = 0, chunk = [] }) {
+
+    const type = overwrite ? 'put' : 'add';
+
+    // start the transaction without a delay so operations run in call order (the chunk store is created first when needed)
+    const start = chunk.length ? this.#ready(tx).then(() => this.#chunkStore()) : this.#ready(tx);
+
+    return start.then(() => new Promise((resolve, reject) => {
+
+      // readwrite transaction (records evicted from the store are deleted from its cascade stores)
+      const
+        evict = !tx && !!this.#evictGet(storeName),
+        { transaction, store, track } = this.#query(storeName, null, true, tx, [ chunk.length && CHUNK, ...(evict ? this.#cascadeStores(storeName) : []) ]),
+        evicted = [];
+
+      let size = null;
+
+      // large binary values
+      if (chunk.length) {
+        const cs = transaction.objectStore(CHUNK);
+        chunk.forEach(({ key, data }) => cs.put(data, key));
+      }
+
+      const
+        keys = new Array(record.length).fill(undefined),
+        written = [],
+        errors = [],
+        keyOf = v => store.keyPath === null ? undefined : valueAt(v, store.keyPath),
+        requestKey = new Map(),
+        tracked = [];
+
+      let pending = record.length;
+
+      // all records written
+      const complete = () => {
+        if (written.length) this.#change(storeName, type, written, tx);
+        evicted.forEach(({ store, type, keys }) => this.#change(store, type, keys));
+        if (size) this.#evictSize[storeName] = size;
+        resolve({ keys, errors: errors.sort((a, b) => a.index - b.index) });
+      };
+
+      // shared transaction: complete once changes are tracked
+      const done = () => Promise.all(tracked).then(complete, reject);
+
+      // record failed: report or stop
+      const fail = (i, err) => {
+
+        const error = toError(err, { store: storeName, key: keyOf(record[i]), operation: type });
+
+        if (!continueOnError) {
+          if (!tx) {
+            try { transaction.abort(); }
+            catch { /* already aborted */ }
+          }
+          reject(error);
+          return false;
+        }
+
+        errors.push({ index: offset + i, key: error.key, error });
+        return true;
+
+      };
+
+      if (!tx) {
+        transaction.oncomplete = complete;
+        this.#txAbort(transaction, reject, request => ({ key: requestKey.get(request) }));
+      }
+
+      // write all values
+      for (let i = 0; i < record.length; i++) {
+
+        let request;
+
+        try {
+          request = store[ type ](record[i]);
+        }
+        catch (e) {
+          // invalid record, e.g. no key
+          if (!fail(i, e)) return;
+          pending--;
+          continue;
+        }
+
+        requestKey.set(request, keyOf(record[i]));
+
+        request.onsuccess = () => {
+          keys[i] = request.result;
+          written.push(request.result);
+          if (track) tracked.push( track('put', request.result, this.#keySet(store, record[i], request.result)) );
+          pending--;
+          if (tx && !pending) done();
+        };
+
+        request.onerror = e => {
+
+          if (!continueOnError) {
+            // shared transaction: reject here, otherwise the transaction aborts
+            if (tx) reject( toError(request.error, { key: keyOf(record[i]) }) );
+            return;
+          }
+
+          // keep the transaction running
+          e.preventDefault();
+          e.stopPropagation();
+          fail(i, request.error);
+          pending--;
+          if (tx && !pending) done();
+
+        };
+
+      }
+
+      if (tx) {
+        if (!pending) done();
+        return;
+      }
+
+      // evict records once all values are written
+      if (evict) {
+
+        this.#txChange.set(transaction, evicted);
+        this.#evictTx(transaction, storeName, record, written)
+          .then(res => size = res.size)
+          .catch(e => {
+            try { transaction.abort(); }
+            catch { /* already aborted */ }
+            reject(e);
+          });
+
+      }
+
+      // commit changes (changes are tracked once records are written)
+      else if (!track) transaction.commit();
+
+    })).catch(e => {
+      throw toError(e, { store: storeName, operation: type });
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: reject when a transaction aborts.
+   * The error of the first failed request is used when available, e.g. a ConstraintError rather than an AbortError
+   * @private
+   * @param {IDBTransaction} transaction - transaction
+   * @param {function} reject - Promise reject function passed a PixDBError
+   * @param {function} [context] - function passed the failed IDBRequest which returns additional error context, e.g. { key }
+   */
+  #txAbort(transaction, reject, context) {
+
+    let error = null;
+
+    transaction.onerror = e => {
+      error ??= toError(e.target.error, context?.(e.target));
+    };
+
+    transaction.onabort = () => reject( error ?? toError(transaction.error) );
+
+  }
+
+
+  /**
+   * add new records (overwrites not permitted)
+   * @param {cbject} param
+   * @param {string} param.store - object store (required)
+   * @param {object|array} param.item - single record or an array of records to add
+   * @param {number} param.ttl - time to live in milliseconds (store must have an expire option)
+   * @param {boolean} param.continueOnError - write every valid record and resolve with a report rather than rejecting on the first failure
+   * @param {number} param.chunk - maximum records written per transaction (all records are written in one transaction when not set)
+   * @param {function} param.progress - function passed an object with store, done, and total properties after each chunk is written
+   * @return {Promise} - resolves with the record key (or an array of keys) when all records have been written, or a { keys, errors } report when continueOnError is set
+   * @example
+   * // add single record
+   * const key = await db.add({ store: 'state', item: { name: 'a', value: 1 } });
+   * @example
+   * // add two records
+   * const keys = await db.add({ store: 'state', item: [ { name: 'b', value: 2 }, { name: 'c', value: 3 } ] });
+   * @example
+   * // add records and report failures
+   * const { keys, errors } = await db.add({ store: 'state', item: records, continueOnError: true });
+   */
+  add(param = {}) {
+    return this.#pipe('add', param, null, ({ store, item = [], continueOnError, chunk, progress }, input) => this.#update(store, item, false, null, { continueOnError, chunk, progress, validate: input.item }));
+  }
+
+
+  /**
+   * add/update records (overwrites permitted)
+   * @param {cbject} param
+   * @param {string} param.store - object store (required)
+   * @param {object|array} param.item - single record or an array of records to add
+   * @param {number} param.ttl - time to live in milliseconds (store must have an expire option)
+   * @param {boolean} param.continueOnError - write every valid record and resolve with a report rather than rejecting on the first failure
+   * @param {number} param.chunk - maximum records written per transaction (all records are written in one transaction when not set)
+   * @param {function} param.progress - function passed an object with store, done, and total properties after each chunk is written
+   * @return {Promise} - resolves with the record key (or an array of keys) when all records have been written, or a { keys, errors } report when continueOnError is set
+   * @example
+   * // add/update single record
+   * await db.put({ store: 'state', item: { name: 'a', value: 99 } });
+   * @example
+   * // add/update two records
+   * await db.put({ store: 'state', item: [ { name: 'b', value: 98 }, { name: 'c', value: 97 } ] });
+   */
+  put(param = {}) {
+    return this.#pipe('put', param, null, ({ store, item = [], continueOnError, chunk, progress }, input) => this.#update(store, item, true, null, { continueOnError, chunk, progress, validate: input.item }));
+  }
+
+
+  /**
+   * PRIVATE: generic database execute
+   * @private
+   * @param {string} storeName - store to use
+   * @param {string} indexName - index to use
+   * @param {string} method - store/index method to execute
+   * @param {array|function} args - array of method arguments or a function which returns them (run once the connection is ready)
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @return {Promise} Resolves/rejects when operation completes
+   */
+  #exec(storeName, indexName, method, args, tx) {
+
+    return this.#ready(tx).then(() => new Promise((resolve, reject) => {
+
+      if (typeof args === 'function') args = args();
+      args = Array.isArray(args) ? args : [ args ];
+
+      const
+        write = method === 'delete' || method === 'clear',
+        { store, track } = this.#query(storeName, indexName, write, tx),
+        request = store[ method ]( ...args ),
+        key = write && method !== 'clear' && !(args[0] instanceof this.#backend.IDBKeyRange) ? args[0] : undefined,
+        tracked = track && key !== undefined ? track('delete', key) : null;
+
+      const done = () => {
+        resolve(request.result);
+
+        if (write) {
+          this.#change(
+            storeName,
+            method,
+            key === undefined ? null : [ key ],
+            tx
+          );
+        }
+      };
+
+      request.onsuccess = () => tracked ? tracked.then(done, reject) : done();
+      request.onerror = () => reject( toError(request.error, { key: args[0] instanceof this.#backend.IDBKeyRange ? undefined : args[0] }) );
+
+    })).catch(e => {
+      throw toError(e, { store: storeName, index: indexName ?? undefined, operation: method });
+    });
+
+  }
+
+
+  /**
+   * count items in an object store/index
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @returns {Promise} - resolves/rejects when number of records is known
+   * @example
+   * console.log(`records in 'state' store: ${ await db.count({ store: 'state' }) }`);
+   * @example
+   * console.log(`records in 'state' store starting at 'x': ${ await db.count({ store: 'state', lowerBound: 'x' }) }`);
+   */
+  count(param = {}) {
+
+    return this.#pipe('count', param, null, ({ store, index, lowerBound, upperBound, range }) => this.#exec(
+      store,
+      index,
+      'count',
+      () => this.#keyRange(range, lowerBound, upperBound)
+    ));
+
+  }
+
+
+  /**
+   * return a single item by key
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} key - key value to find (required)
+   * @param {string|array} param.include - relation name or array of names to add to the record
+   * @returns {Promise} - resolves/rejects when record is found or not found (expired records are not returned)
+   * @example
+   * const a = await db.get({ store: 'state', key: 'a'});
+   * @example
+   * const order = await db.get({ store: 'order', key: 1, include: [ 'customer', 'item' ] });
+   */
+  get(param = {}) {
+
+    return this.#pipe('get', param, null, ({ store, index, key, include }) => {
+
+      const tx = this.#includeTx(store, include);
+
+      return this.#exec(
+        store,
+        index,
+        'get',
+        key,
+        tx
+      )
+        .then(rec => this.#unpack(store, [ rec ]))
+        .then(rec => this.#include(store, rec, include, tx))
+        .then(([ rec ]) => rec);
+
+    });
+
+  }
+
+
+  /**
+   * returns an array of records in a range
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {string} param.direction - direction to travel (next, nextunique, prev, prevunique)
+   * @param {number} param.count - maximum number of records to return
+   * @param {string|array} param.include - relation name or array of names to add to each record
+   * @returns {Promise} - resolves/rejects when an array of records is found (expired records are not returned)
+   * @example
+   * const all = await db.getAll({ store: 'state', lowerBound: 'a', upperBound: 'z' });
+   * @example
+   * const between = await db.getAll({ store: 'state', range: { gt: 0, lt: 10 } });
+   * @example
+   * const order = await db.getAll({ store: 'order', include: 'customer' });
+   * @example
+   * const newest = await db.getAll({ store: 'state', index: 'updateIdx', direction: 'prev', count: 10 });
+   */
+  getAll(param = {}) {
+
+    return this.#pipe('getAll', param, null, ({ store, index, lowerBound, upperBound, range, direction, count, include }) => {
+
+      const
+        tx = this.#includeTx(store, include),
+        expire = !!count && !!this.#expireGet(store);
+
+      return (expire || (direction && direction !== 'next') ?
+
+        // reverse or unique order, or a count of unexpired records: fetch records using a cursor
+        this.#cursorAll({ store, index, lowerBound, upperBound, range, direction, count, skip: expire ? r => this.#expired(store, r) : null }, true, tx, 'getAll').then(entry => entry.map(e => e.value)) :
+
+        this.#exec(
+          store,
+          index,
+          'getAll',
+          () => [ this.#keyRange(range, lowerBound, upperBound), count ],
+          tx
+        )
+
+      )
+        .then(rec => this.#unpack(store, rec))
+        .then(rec => this.#include(store, rec, include, tx));
+
+    });
+
+  }
+
+
+  /**
+   * returns an array of key values in a range
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {string} param.direction - direction to travel (next, nextunique, prev, prevunique)
+   * @param {number} param.count - maximum number of records to return
+   * @returns {Promise} - resolves/rejects when an array of keys is found
+   * @example
+   * const allKeys = await db.getAllKeys({ store: 'state' });
+   * @example
+   * const userKeys = await db.getAllKeys({ store: 'state', range: { prefix: 'user:' } });
+   */
+  getAllKeys(param = {}) {
+
+    return this.#pipe('getAllKeys', param, null, ({ store, index, lowerBound, upperBound, range, direction, count }) => direction && direction !== 'next' ?
+
+      // reverse or unique order: fetch keys using a cursor
+      this.#cursorAll({ store, index, lowerBound, upperBound, range, direction, count }, false, null, 'getAllKeys').then(entry => entry.map(e => e.primaryKey)) :
+
+      this.#exec(
+        store,
+        index,
+        'getAllKeys',
+        () => [ this.#keyRange(range, lowerBound, upperBound), count ]
+      )
+
+    );
+
+  }
+
+
+  /**
+   * returns an array of { key, primaryKey } objects in a range without fetching record values.
+   * The key is the index value when an index is set or the primary key when it is not
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {string} param.direction - direction to travel (next, nextunique, prev, prevunique)
+   * @param {number} param.count - maximum number of keys to return
+   * @returns {Promise} - resolves/rejects with an array of { key, primaryKey } objects
+   * @example
+   * const latest = await db.getKeys({ store: 'state', index: 'updateIdx', direction: 'prev', count: 10 });
+   */
+  getKeys(param = {}) {
+
+    return this.#pipe('getKeys', param, null, p => this.#cursorAll(p, false, null, 'getKeys'));
+
+  }
+
+
+  /**
+   * returns an array of unique index values in a range
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index (primary keys are returned when not set)
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {string} param.direction - direction to travel (next or prev)
+   * @param {number} param.count - maximum number of values to return
+   * @returns {Promise} - resolves/rejects with an array of unique index values
+   * @example
+   * const categories = await db.distinct({ store: 'product', index: 'categoryIdx' });
+   */
+  distinct(param = {}) {
+
+    return this.#pipe('distinct', param, null, ({ direction = 'next', ...p }) => this.#cursorAll(
+      { ...p, direction: direction.startsWith('prev') ? 'prevunique' : 'nextunique' },
+      false,
+      null,
+      'distinct'
+    )
+      .then(entry => entry.map(e => e.key))
+    );
+
+  }
+
+
+  /**
+   * PRIVATE: fetch keys or records in a range using a cursor
+   * @private
+   * @param {object} param - getKeys() parameters
+   * @param {function} [param.skip] - function passed each stored value which returns true to omit the record (not counted)
+   * @param {boolean} value - true to fetch record values (values are not decoded)
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @param {string} operation - method name used in errors
+   * @returns {Promise} - resolves/rejects with an array of { key, primaryKey } or { key, primaryKey, value } objects
+   */
+  #cursorAll({ store, index, lowerBound, upperBound, range, direction = 'next', count, skip } = {}, value, tx, operation) {
+
+    return this.#ready(tx).then(() => new Promise((resolve, reject) => {
+
+      const
+        source = this.#query(store, index, false, tx).store,
+        bound = this.#keyRange(range, lowerBound, upperBound),
+        request = value ? source.openCursor(bound, direction) : source.openKeyCursor(bound, direction),
+        max = count || Infinity,
+        entry = [];
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve(entry);
+          return;
+        }
+
+        if (!skip?.(cursor.value)) {
+          entry.push(value ?
+            { key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value } :
+            { key: cursor.key, primaryKey: cursor.primaryKey }
+          );
+        }
+
+        if (entry.length < max) cursor.continue();
+        else resolve(entry);
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    })).catch(e => {
+      throw toError(e, { store, index: index ?? undefined, operation });
+    });
+
+  }
+
+
+  /**
+   * delete a record
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {*} key - key value to find (required)
+   * @returns {Promise} - resolves/rejects when record is deleted (with records related by cascade relations)
+   * @example
+   * await db.delete({ store: 'state', key: 'a' });
+   */
+  delete(param = {}) {
+
+    return this.#pipe('delete', param, null, ({ store, key }) => this.#cascadeStores(store).length ?
+
+      // delete related records using a cursor
+      this.#modify({ store, key, operation: 'delete' }, true).then(() => undefined) :
+
+      this.#exec(
+        store,
+        null,
+        'delete',
+        [ key ]
+      )
+
+    );
+
+  }
+
+
+  /**
+   * delete all records in a range
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @returns {Promise} - resolves/rejects when all records are deleted (with records related by cascade relations)
+   * @example
+   * await db.deleteAll({ store: 'state', lowerBound: 'x', upperBound: 'z' });
+   */
+  deleteAll(param = {}) {
+
+    return this.#pipe('deleteAll', param, null, ({ store, index, lowerBound, upperBound, range }) => index || this.#tracked(store) ?
+
+      // index range, synced, searchable, or cascading store: delete using a cursor
+      this.#modify({ store, index, lowerBound, upperBound, range, operation: 'deleteAll' }, true) :
+
+      this.#exec(
+        store,
+        null,
+        'delete',
+        () => [ this.#keyRange(range, lowerBound, upperBound) ]
+      )
+
+    );
+
+  }
+
+
+  /**
+   * update all records in a range which match an optional filter function
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {function} param.filter - function passed each record and its primary key. Return a truthy value to update it
+   * @param {function} param.update - function passed each matching record. Modify the record or return a new one (required)
+   * @returns {Promise} - resolves/rejects with the number of updated records (no records are updated when any fails validation)
+   * @example
+   * const updated = await db.updateWhere({
+   *   store: 'state',
+   *   index: 'expireIdx',
+   *   upperBound: new Date(),
+   *   update: r => ({ ...r, expired: true })
+   * });
+   */
+  updateWhere({ store, index, lowerBound, upperBound, range, filter, update } = {}) {
+    return this.#modify({ store, index, lowerBound, upperBound, range, filter, update }, false);
+  }
+
+
+  /**
+   * delete all records in a range which match an optional filter function
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {function} param.filter - function passed each record and its primary key. Return a truthy value to delete it
+   * @returns {Promise} - resolves/rejects with the number of deleted records (records related by cascade relations are also deleted)
+   * @example
+   * const deleted = await db.deleteWhere({ store: 'state', index: 'expireIdx', upperBound: new Date() });
+   */
+  deleteWhere({ store, index, lowerBound, upperBound, range, filter } = {}) {
+    return this.#modify({ store, index, lowerBound, upperBound, range, filter }, true);
+  }
+
+
+  /**
+   * PRIVATE: update or delete records using a readwrite cursor
+   * @private
+   * @param {object} param - updateWhere() parameters
+   * @param {*} [param.key] - primary key of a single record (used instead of lowerBound, upperBound, and range)
+   * @param {number} [param.limit] - maximum number of records to update or delete
+   * @param {string} [param.operation] - method name used in errors (updateWhere or deleteWhere by default)
+   * @param {boolean} [param.raw] - pass stored values to the filter function without decryption or decompression
+   * @param {boolean} [param.local] - do not record changes in the sync changelog
+   * @param {boolean} remove - true to delete matching records
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @returns {Promise} - resolves/rejects with the number of affected records
+   */
+  #modify({ store, index, key, lowerBound, upperBound, range, filter, update, limit = Infinity, operation, raw, local } = {}, remove, tx) {
+
+    operation ??= remove ? 'deleteWhere' : 'updateWhere';
+
+    // encrypted, compressed, or chunked store: filter, update, and find related records using decoded values
+    if (!tx && !raw && (filter || !remove || this.#cascadeStores(store).length) && this.#packed(store)) {
+
+      return this.#modifyPacked({ store, index, key, lowerBound, upperBound, range, filter, update, limit, operation }, remove)
+        .catch(e => {
+          throw toError(e, { store, index, operation });
+        });
+
+    }
+
+    return this.#ready(tx).then(() => new Promise((resolve, reject) => {
+
+      if (!remove && typeof update !== 'function') {
+        reject( new PixDBError(`${ operation }() requires an update function`) );
+        return;
+      }
+
+      const
+        cascade = remove ? this.#cascadeStores(store) : [],
+        { transaction, store: source, track } = this.#query(store, index, true, tx, cascade),
+        request = source.openCursor( key === undefined ? this.#keyRange(range, lowerBound, upperBound) : key );
+
+      const
+        type = remove ? 'delete' : 'update',
+        keys = [],
+        tracked = [],
+        related = new Map();
+
+      let count = 0;
+
+      // shared transaction: resolve once changes are tracked and related records deleted
+      const done = () => Promise.all(tracked).then(() => {
+        if (count) this.#change(store, type, keys, tx);
+        related.forEach((k, s) => this.#change(s, 'delete', k, tx));
+        resolve(count);
+      }, reject);
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          if (tx) done();
+          return;
+        }
+
+        const value = cursor.value;
+
+        try {
+
+          if (!filter || filter(value, cursor.primaryKey)) {
+
+            const
+              next = remove ? undefined : update(value) ?? value,
+              invalid = remove ? null : this.#validate(store, [ this.#unmanaged(store, next) ]).get(0);
+
+            // updated record is invalid
+            if (invalid) throw this.#validateError(store, operation, invalid.map(e => ({ ...e, index: count })));
+
+            if (remove) cursor.delete();
+            else cursor.update( next );
+            if (track) tracked.push( track(remove ? 'delete' : 'put', cursor.primaryKey, next, local) );
+
+            // delete related records
+            if (cascade.length) {
+              const c = this.#cascade(transaction, store, value, cursor.primaryKey, related);
+              tracked.push(c);
+              if (!tx) c.catch(e => {
+                try { transaction.abort(); }
+                catch { /* already aborted */ }
+                reject(e);
+              });
+            }
+
+            keys.push(cursor.primaryKey);
+            count++;
+
+          }
+
+        }
+        catch (e) {
+
+          // filter or update function failed
+          if (!tx) transaction.abort();
+          reject(e);
+          return;
+
+        }
+
+        if (count < limit) cursor.continue();
+        else if (tx) done();
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+      if (!tx) {
+        transaction.oncomplete = () => {
+          resolve(count);
+          if (count) this.#change(store, type, keys);
+          related.forEach((k, s) => this.#change(s, 'delete', k));
+        };
+        this.#txAbort(transaction, reject);
+      }
+
+    })).catch(e => {
+      throw toError(e, { store, index, operation });
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: update or delete records in an encrypted, compressed, or chunked store.
+   * Matching records are decoded and filtered before they are written in a second transaction
+   * @private
+   * @param {object} param - #modify() parameters
+   * @param {boolean} remove - true to delete matching records
+   * @returns {Promise} - resolves/rejects with the number of affected records
+   */
+  async #modifyPacked({ store, index, key, lowerBound, upperBound, range, filter, update, limit, operation }, remove) {
+
+    if (!remove && typeof update !== 'function') throw new PixDBError(`${ operation }() requires an update function`);
+
+    const item = [];
+
+    for (const { primaryKey, value } of await this.#entries({ store, index, key, lowerBound, upperBound, range })) {
+
+      if (item.length >= limit) break;
+      if (filter && !filter(value, primaryKey)) continue;
+      item.push({ key: primaryKey, value: remove ? value : update(value) ?? value });
+
+    }
+
+    if (!item.length) return 0;
+
+    if (!remove) {
+
+      const invalid = this.#validate(store, item.map(i => this.#unmanaged(store, i.value)));
+      if (invalid.size) throw this.#validateError(store, operation, [ ...invalid.values() ].flat());
+
+      const packed = await this.#pack(store, item.map(i => i.value));
+      item.forEach((i, n) => Object.assign(i, packed[n]));
+
+    }
+
+    await this.#writeRaw(store, item, remove ? 'delete' : 'update', operation, true);
+    return item.length;
+
+  }
+
+
+  /**
+   * deletes all records in a store
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @returns {Promise} - resolves/rejects when all records are deleted
+   * @example
+   * await db.clear({ store: 'state' });
+   */
+  clear(param = {}) {
+
+    return this.#pipe('clear', param, null, ({ store }) => this.#tracked(store) ?
+
+      // synced, searchable, or cascading store: track every deleted record
+      this.#modify({ store, operation: 'clear' }, true).then(() => undefined) :
+
+      this.#exec(
+        store,
+        null,
+        'clear'
+      )
+
+    );
+
+  }
+
+
+  /**
+   * delete expired records from stores with an expire option
+   * @param {object} param
+   * @param {string|array} param.store - object store name or array of names (all stores with an expire option when not set)
+   * @param {number} param.batch - maximum records deleted per transaction (default 500)
+   * @returns {Promise} - resolves/rejects with the number of deleted records
+   * @example
+   * const deleted = await db.purgeExpired();
+   */
+  async purgeExpired({ store, batch = 500 } = {}) {
+
+    await this.#ready();
+
+    const names = store ? [].concat(store) : Object.keys(this.#options.expire || {});
+    let count = 0;
+
+    for (const name of names) {
+
+      if (!this.#expireGet(name)) continue;
+
+      const
+        { index } = this.#options.expire[name],
+        upperBound = index ? new Date() : undefined;
+
+      let n;
+      do {
+        n = await this.#modify({ store: name, index, upperBound, filter: r => this.#expired(name, r), limit: batch, operation: 'purgeExpired', raw: true, local: true }, true);
+        count += n;
+      } while (n >= batch);
+
+    }
+
+    return count;
+
+  }
+
+
+  /**
+   * PRIVATE: start background expired record sweep
+   * @private
+   */
+  #sweepStart() {
+
+    const ms = this.#options.sweep;
+    if (!ms || this.#sweep || this.#dbClosed) return;
+
+    this.#sweep = setInterval(() => this.purgeExpired().catch(() => {}), ms);
+
+  }
+
+
+  /**
+   * PRIVATE: get the expiry field of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {string|null} - key path of the expiry date (null when the store has no expire option)
+   */
+  #expireGet(storeName) {
+
+    const cfg = this.#options.expire?.[storeName];
+    if (!cfg) return null;
+
+    if (!this.#expireField[storeName]) {
+
+      let field = cfg.field;
+
+      // use index key path
+      if (!field && cfg.index && this.#db) {
+        field = this.#tx(storeName, 'readonly').objectStore(storeName).index(cfg.index).keyPath;
+      }
+
+      this.#expireField[storeName] = field || 'expire';
+
+    }
+
+    return this.#expireField[storeName];
+
+  }
+
+
+  /**
+   * PRIVATE: has a record expired?
+   * @private
+   * @param {string} storeName - store name
+   * @param {object} record - record
+   * @returns {boolean} - true when the record has expired
+   */
+  #expired(storeName, record) {
+
+    const field = record && this.#expireGet(storeName);
+    if (!field) return false;
+
+    const exp = valueAt(record, field);
+    return exp !== undefined && exp !== null && +exp <= Date.now();
+
+  }
+
+
+  /**
+   * PRIVATE: set the expiry date of records
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} record - array of records
+   * @param {number} [ttl] - time to live in milliseconds (defaults to the store's ttl when a record has no expiry date)
+   * @returns {array} - array of records
+   */
+  #expireSet(storeName, record, ttl) {
+
+    const field = this.#expireGet(storeName);
+
+    if (!field) {
+      if (ttl !== undefined) throw new PixDBError(`Store ${ storeName } has no expire option to set a ttl`, { store: storeName });
+      return record;
+    }
+
+    const def = this.#options.expire[storeName].ttl;
+
+    return record.map(r => {
+
+      if (ttl === undefined && (!def || valueAt(r, field) !== undefined)) return r;
+      return { ...r, [ field ]: new Date( Date.now() + (ttl ?? def) ) };
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: built-in plugin which sets record expiry dates and hides expired records
+   * @private
+   * @returns {object} - plugin
+   */
+  #expirePlugin() {
+
+    const set = ctx => {
+
+      const { store, item = [], ttl } = ctx.param;
+      if (ttl === undefined && !this.#expireGet(store)) return;
+
+      const list = this.#expireSet(store, [].concat(item), ttl);
+      ctx.param = { ...ctx.param, item: Array.isArray(item) ? list : list[0], ttl: undefined };
+
+    };
+
+    return {
+      name: 'expire',
+      before: {
+        add: set,
+        put: set
+      },
+      after: {
+        get: ctx => {
+          if (this.#expired(ctx.param.store, ctx.result)) ctx.result = undefined;
+        },
+        getAll: ctx => {
+          if (this.#expireGet(ctx.param.store)) ctx.result = ctx.result.filter(r => !this.#expired(ctx.param.store, r));
+        }
+      }
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: get the record cache of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {LRUCache|null} - cache (null when the store has no cache option)
+   */
+  #cacheGet(storeName) {
+
+    const cfg = this.#options.cache?.[storeName];
+    if (!cfg) return null;
+
+    return (this.#cache[storeName] ??= new LRUCache(cfg));
+
+  }
+
+
+  /**
+   * PRIVATE: built-in plugin which serves get and getAll results from the store cache.
+   * It runs after the expiry plugin so expired records are removed from cached results.
+   * Operations in a shared transaction or which include related records do not use the cache
+   * @private
+   * @returns {object} - plugin
+   */
+  #cachePlugin() {
+
+    const
+      pending = new WeakMap(),
+
+      // return a cached result
+      read = ctx => {
+
+        const cache = !ctx.transaction && !ctx.param.include && this.#cacheGet(ctx.param.store);
+        if (!cache) return;
+
+        const
+          { operation, param } = ctx,
+          id = operation === 'get' && !param.index ? keyId(param.key) : queryId(operation, param),
+          hit = cache.get(id);
+
+        if (hit) ctx.result = hit.value;
+        else pending.set(ctx, { cache, id, version: cache.version });
+
+      },
+
+      // cache a result
+      write = ctx => {
+
+        const p = pending.get(ctx);
+        if (p) p.cache.set(p.id, ctx.result, p.version);
+
+      };
+
+    return {
+      name: 'cache',
+      before: {
+        get: read,
+        getAll: read
+      },
+      after: {
+        get: write,
+        getAll: write
+      }
+    };
+
+  }
+
+
+  /**
+   * return record counts and estimated sizes of stores with the browser's storage estimate
+   * @param {object} param
+   * @param {string|array} param.stores - object store name or array of names (all stores when not set)
+   * @returns {Promise} - resolves/rejects with { stores, count, bytes, internal, usage, quota, persisted } where stores has { count, bytes } objects keyed by store name
+   * @example
+   * const { stores, usage, quota } = await db.stats();
+   * console.log(`state store: ${ stores.state.count } records, ${ stores.state.bytes } bytes`);
+   */
+  async stats({ stores } = {}) {
+
+    try {
+
+      await this.#ready();
+
+      const
+        all = Array.from(this.#db.objectStoreNames),
+        name = stores ? [].concat(stores) : all.filter(n => !isInternal(n)),
+        storage = globalThis.navigator?.storage,
+        [ estimate, persisted ] = await Promise.all([
+          storage?.estimate?.().catch(() => null),
+          storage?.persisted?.().catch(() => false)
+        ]),
+        ret = { stores: {}, count: 0, bytes: 0, internal: { count: 0, bytes: 0 } };
+
+      for (const n of name) {
+        const size = ret.stores[n] = await this.#storeSize(n);
+        ret.count += size.count;
+        ret.bytes += size.bytes;
+      }
+
+      // chunks, changelog, search index, and other internal stores
+      if (!stores) {
+        for (const n of all.filter(isInternal)) {
+          const size = await this.#storeSize(n);
+          ret.internal.count += size.count;
+          ret.internal.bytes += size.bytes;
+        }
+      }
+
+      ret.usage = estimate?.usage;
+      ret.quota = estimate?.quota;
+      ret.persisted = !!persisted;
+
+      return ret;
+
+    }
+    catch (e) {
+      throw toError(e, { store: stores, operation: 'stats' });
+    }
+
+  }
+
+
+  /**
+   * request persistent storage so the browser does not delete the database when storage is low
+   * @returns {Promise} - resolves with true when storage is persistent
+   * @example
+   * if (!await db.persist()) console.log('data could be deleted when storage is low');
+   */
+  async persist() {
+
+    const storage = globalThis.navigator?.storage;
+    if (!storage?.persist) return false;
+
+    return (await storage.persisted?.()) || storage.persist();
+
+  }
+
+
+  /**
+   * PRIVATE: count the records and estimate the stored size of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {Promise} - resolves/rejects with { count, bytes }
+   */
+  #storeSize(storeName) {
+
+    return this.#ready().then(() => new Promise((resolve, reject) => {
+
+      const
+        request = this.#query(storeName).store.openCursor(),
+        size = { count: 0, bytes: 0 };
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve(size);
+          return;
+        }
+
+        size.count++;
+        size.bytes += sizeOf(cursor.primaryKey) + sizeOf(cursor.value);
+        cursor.continue();
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    }));
+
+  }
+
+
+  /**
+   * PRIVATE: get the eviction settings of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {object|null} - { max, maxBytes, policy, index, field, keyPath } (null when the store has no evict option)
+   */
+  #evictGet(storeName) {
+
+    const cfg = this.#options.evict?.[storeName];
+    if (!cfg || !this.#db) return null;
+
+    if (!this.#evictCfg[storeName]) {
+
+      const
+        store = this.#tx(storeName, 'readonly').objectStore(storeName),
+        policy = cfg.policy || 'oldest',
+        field = cfg.index ? store.index(cfg.index).keyPath : null;
+
+      if (policy !== 'oldest' && policy !== 'lru') {
+        throw new PixDBError(`Store ${ storeName } eviction policy must be oldest or lru`, { store: storeName });
+      }
+
+      if (policy === 'lru' && typeof field !== 'string') {
+        throw new PixDBError(`Store ${ storeName } lru eviction requires an index on a single field`, { store: storeName });
+      }
+
+      this.#evictCfg[storeName] = {
+        max: Math.max(0, parseInt(cfg.max, 10)) || Infinity,
+        maxBytes: Math.max(0, parseInt(cfg.maxBytes, 10)) || Infinity,
+        policy,
+        index: cfg.index,
+        field,
+        keyPath: store.keyPath
+      };
+
+    }
+
+    return this.#evictCfg[storeName];
+
+  }
+
+
+  /**
+   * PRIVATE: delete records in eviction order until a store fits within its limits.
+   * The store is measured in the transaction so overwritten records are not counted twice
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction which includes the store and its cascade stores
+   * @param {string} storeName - store name
+   * @param {array} [record] - records written in the transaction
+   * @param {array} [keep] - primary keys of records which are not evicted (read once the store is measured)
+   * @param {number} [free] - minimum bytes to free regardless of the store limits
+   * @returns {Promise} - resolves/rejects with the { count, bytes } of evicted records and the remaining store size
+   */
+  #evictTx(transaction, storeName, record = [], keep = [], free = 0) {
+
+    const
+      cfg = this.#evictGet(storeName),
+      estimate = this.#evictSize[storeName],
+      add = { count: record.length, bytes: record.reduce((t, r) => t + sizeOf(r), 0) },
+      over = s => s.count > cfg.max || s.bytes > cfg.maxBytes;
+
+    // the running estimate can be too high: measure the store when it could exceed the limits
+    if (!free && estimate) {
+      const size = { count: estimate.count + add.count, bytes: estimate.bytes + add.bytes };
+      if (!over(size)) return Promise.resolve({ count: 0, bytes: 0, size });
+    }
+
+    return new Promise((resolve, reject) => {
+
+      const
+        request = transaction.objectStore(storeName).openCursor(),
+        size = { count: 0, bytes: 0 };
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve(size);
+          return;
+        }
+
+        size.count++;
+        size.bytes += sizeOf(cursor.primaryKey) + sizeOf(cursor.value);
+        cursor.continue();
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    }).then(size => {
+
+      if (!free && !over(size)) return { count: 0, bytes: 0, size };
+
+      const
+        target = { count: cfg.max, bytes: Math.min(cfg.maxBytes, size.bytes - free) },
+        kept = new Set( keep.map(k => keyId(k)) ),
+        left = { ...size };
+
+      return this.#modify({
+        store: storeName,
+        index: cfg.index,
+        operation: 'evict',
+        raw: true,
+        local: true,
+        filter: (value, key) => {
+
+          if (left.count <= target.count && left.bytes <= target.bytes) return false;
+          if (kept.has( keyId(key) )) return false;
+
+          left.count--;
+          left.bytes -= sizeOf(key) + sizeOf(value);
+          return true;
+
+        }
+      }, true, transaction)
+        .then(count => ({ count, bytes: size.bytes - left.bytes, size: left }));
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: delete records in eviction order to free storage space
+   * @private
+   * @param {string} storeName - store name
+   * @param {number} free - minimum bytes to free
+   * @returns {Promise} - resolves/rejects with the { count, bytes } of evicted records
+   */
+  #evictRun(storeName, free) {
+
+    return this.#ready().then(() => new Promise((resolve, reject) => {
+
+      if (!this.#evictGet(storeName)) {
+        resolve({ count: 0, bytes: 0 });
+        return;
+      }
+
+      const
+        { transaction } = this.#query(storeName, null, true, null, this.#cascadeStores(storeName)),
+        evicted = [];
+
+      let res;
+
+      this.#txChange.set(transaction, evicted);
+      this.#evictTx(transaction, storeName, [], [], free)
+        .then(r => res = r)
+        .catch(e => {
+          try { transaction.abort(); }
+          catch { /* already aborted */ }
+          reject(e);
+        });
+
+      transaction.oncomplete = () => {
+        evicted.forEach(({ store, type, keys }) => this.#change(store, type, keys));
+        this.#evictSize[storeName] = res.size;
+        resolve({ count: res.count, bytes: res.bytes });
+      };
+      this.#txAbort(transaction, reject);
+
+    }));
+
+  }
+
+
+  /**
+   * PRIVATE: evict records from stores with an evict option after the storage quota was exceeded
+   * @private
+   * @param {string} storeName - store which could not be written (evicted first)
+   * @param {array} record - records which could not be written
+   * @returns {Promise} - resolves/rejects with the number of evicted records
+   */
+  async #evictFree(storeName, record) {
+
+    const name = Object.keys(this.#options.evict || {}).sort((a, b) => (b === storeName) - (a === storeName));
+
+    let
+      need = Math.max(1, record.reduce((t, r) => t + sizeOf(r), 0)),
+      count = 0;
+
+    for (const n of name) {
+
+      if (need <= 0) break;
+
+      const freed = await this.#evictRun(n, need);
+      need -= freed.bytes;
+      count += freed.count;
+
+    }
+
+    return count;
+
+  }
+
+
+  /**
+   * PRIVATE: record that records in a store with an lru evict policy have been read.
+   * Access times are written in a single transaction after the current task
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} keys - primary keys
+   */
+  #evictTouch(storeName, keys) {
+
+    if (!keys.length) return;
+
+    let queue = this.#evictQueue[storeName];
+
+    if (!queue) {
+
+      queue = this.#evictQueue[storeName] = new Map();
+
+      setTimeout(() => {
+        delete this.#evictQueue[storeName];
+        this.#evictFlush(storeName, [ ...queue.values() ]).catch(() => {});
+      }, 0);
+
+    }
+
+    keys.forEach(k => queue.set(keyId(k), k));
+
+  }
+
+
+  /**
+   * PRIVATE: set the access time of records in a store with an lru evict policy.
+   * Stored values are updated without change events, sync, or search tracking
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} keys - primary keys
+   * @returns {Promise} - resolves/rejects when access times are written
+   */
+  #evictFlush(storeName, keys) {
+
+    return new Promise((resolve, reject) => {
+
+      const cfg = this.#evictGet(storeName);
+
+      if (!cfg) {
+        resolve();
+        return;
+      }
+
+      const
+        transaction = this.#tx(storeName, 'readwrite'),
+        store = transaction.objectStore(storeName),
+        now = new Date();
+
+      keys.forEach(key => {
+
+        const req = store.get(key);
+
+        req.onsuccess = () => {
+
+          const value = req.result;
+          if (!value || typeof value !== 'object') return;
+
+          value[ cfg.field ] = now;
+          if (cfg.keyPath === null) store.put(value, key);
+          else store.put(value);
+
+        };
+
+      });
+
+      transaction.oncomplete = () => resolve();
+      this.#txAbort(transaction, reject);
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: built-in plugin which sets the access time of records in stores with an lru evict policy.
+   * Records are evicted in the transaction which writes new records
+   * @private
+   * @returns {object} - plugin
+   */
+  #evictPlugin() {
+
+    const
+
+      // set access times of new records
+      write = ctx => {
+
+        const
+          { store, item = [] } = ctx.param,
+          cfg = this.#evictGet(store);
+
+        if (cfg?.policy !== 'lru') return;
+
+        const
+          now = new Date(),
+          list = [].concat(item).map(r => ({ ...r, [ cfg.field ]: now }));
+
+        ctx.param = { ...ctx.param, item: Array.isArray(item) ? list : list[0] };
+
+      },
+
+      // add records written in a shared transaction to the estimated store size
+      written = ctx => {
+
+        if (!ctx.transaction) return;
+
+        const size = this.#evictSize[ ctx.param.store ];
+        if (!size) return;
+
+        const list = [].concat(ctx.param.item ?? []);
+        size.count += list.length;
+        size.bytes += list.reduce((t, r) => t + sizeOf(r), 0);
+
+      },
+
+      // set access times of read records
+      read = ctx => {
+
+        const
+          { operation, param, result } = ctx,
+          cfg = this.#evictGet(param.store);
+
+        if (cfg?.policy !== 'lru' || result === undefined) return;
+
+        const keys = operation === 'get' && !param.index ?
+          [ param.key ] :
+          (cfg.keyPath === null ? [] : [].concat(result).map(r => valueAt(r, cfg.keyPath)));
+
+        this.#evictTouch(param.store, keys.filter(k => k !== undefined));
+
+      };
+
+    return {
+      name: 'evict',
+      before: {
+        add: write,
+        put: write
+      },
+      after: {
+        add: written,
+        put: written,
+        get: read,
+        getAll: read
+      }
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: validate records with the store validator
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} record - array of records
+   * @returns {Map} - arrays of { index, field, message } objects keyed by the index of each invalid record
+   */
+  #validate(storeName, record) {
+
+    const
+      validator = this.#options.validate?.[storeName] ?? this.#dbSchema?.stores?.[storeName]?.validate,
+      invalid = new Map();
+
+    if (!validator) return invalid;
+
+    record.forEach((r, index) => {
+      const err = validateRecord(validator, r);
+      if (err.length) invalid.set(index, err.map(e => ({ index, ...e })));
+    });
+
+    return invalid;
+
+  }
+
+
+  /**
+   * PRIVATE: copy a stored record without the fields PixDB manages (expiry date and lru access time) before it is validated
+   * @private
+   * @param {string} storeName - store name
+   * @param {object} record - record
+   * @returns {object} - record (a copy when managed fields were removed)
+   */
+  #unmanaged(storeName, record) {
+
+    const
+      evict = this.#evictGet(storeName),
+      field = [ this.#expireGet(storeName), evict?.policy === 'lru' && evict.field ]
+        .filter(f => f && record && typeof record === 'object' && f in record);
+
+    if (!field.length) return record;
+
+    const copy = { ...record };
+    field.forEach(f => delete copy[f]);
+    return copy;
+
+  }
+
+
+  /**
+   * PRIVATE: create a ValidationError
+   * @private
+   * @param {string} storeName - store name
+   * @param {string} operation - method name
+   * @param {array} errors - array of { index, field, message } objects
+   * @returns {ValidationError} - error
+   */
+  #validateError(storeName, operation, errors) {
+
+    const list = errors.map(({ index, field, message }) => `[${ index }] ${ field ? field + ' ' : '' }${ message }`).join('; ');
+    return new ValidationError(`Validation failed in store ${ storeName }: ${ list }`, { store: storeName, operation, errors });
+
+  }
+
+
+  /**
+   * synchronize stores which have a sync option with a remote server.
+   * Remote changes are pulled and applied first, then local changes recorded in the changelog are pushed
+   * @param {object} param
+   * @param {string|array} param.store - synced store name or array of names (all synced stores when not set)
+   * @param {function} param.push - async function passed an array of local changes ({ op, store, key, value, timestamp, version, remote }). It resolves with nothing when all changes are accepted, or an array of { store, key, version } acknowledgements and { store, key, conflict: true, value, deleted, version, timestamp } rejections
+   * @param {function} param.pull - async function passed { checkpoint, stores }. It resolves with { changes, checkpoint, more } where changes is an array of { store, key, value, deleted, version, timestamp } objects
+   * @param {number} param.batch - maximum changes passed to each push() call (default 100)
+   * @returns {Promise} - resolves/rejects with { pulled, pushed, conflicts } counts
+   * @example
+   * const { pushed, pulled } = await db.sync({
+   *   push: changes => fetch('/api/push', { method: 'POST', body: JSON.stringify(changes) }).then(res => res.json()),
+   *   pull: ({ checkpoint }) => fetch(`/api/pull?since=${ checkpoint ?? '' }`).then(res => res.json())
+   * });
+   */
+  sync({ store, push, pull, batch = 100 } = {}) {
+
+    // run one sync at a time
+    const run = (this.#syncQueue || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.#syncRun({ store, push, pull, batch: Math.max(1, parseInt(batch, 10) || 1) }))
+      .catch(e => {
+        throw toError(e, { store: typeof store === 'string' ? store : undefined, operation: 'sync' });
+      });
+
+    this.#syncQueue = run;
+    return run;
+
+  }
+
+
+  /**
+   * PRIVATE: pull and push changes
+   * @private
+   * @param {object} param - sync() parameters
+   * @returns {Promise} - resolves with { pulled, pushed, conflicts } counts
+   */
+  async #syncRun({ store, push, pull, batch }) {
+
+    await this.#ready();
+
+    const
+      names = (store ? [].concat(store) : Object.keys(this.#options.sync || {})).filter(n => this.#syncGet(n)),
+      result = { pulled: 0, pushed: 0, conflicts: 0 };
+
+    if (!names.length) throw new PixDBError('sync() requires a store with a sync option');
+
+    // pull remote changes
+    if (pull) {
+
+      const cp = [ 'checkpoint', ...[ ...names ].sort() ];
+      let res;
+
+      do {
+
+        const checkpoint = await request( this.#tx(META, 'readonly').objectStore(META).get(cp) );
+        res = (await pull({ checkpoint, stores: names })) || {};
+
+        const change = (res.changes || []).filter(c => names.includes(c.store));
+        result.conflicts += await this.#syncApply(change);
+        result.pulled += change.length;
+
+        if (res.checkpoint !== undefined) {
+          await request( this.#tx(META, 'readwrite').objectStore(META).put(res.checkpoint, cp) );
+        }
+
+      } while (res.more && res.changes?.length);
+
+    }
+
+    // push local changes
+    if (push) {
+
+      const { pending, stale } = await this.#syncPending(names);
+      await this.#syncAck(stale);
+
+      for (let i = 0; i < pending.length; i += batch) {
+
+        const
+          part = pending.slice(i, i + batch),
+          res = (await push( part.map(({ seq, ...change }) => change) )) || [],
+          reply = new Map( [].concat(res).map(r => [ keyId([ r.store, r.key ]), r ]) ),
+          ack = [],
+          conflict = [];
+
+        part.forEach(change => {
+
+          const r = reply.get( keyId([ change.store, change.key ]) );
+
+          if (r?.conflict) conflict.push([ change, r ]);
+          else ack.push({ store: change.store, key: change.key, seq: change.seq, revision: { synced: change.version, remote: r?.version } });
+
+        });
+
+        await this.#syncAck(ack);
+        for (const [ change, remote ] of conflict) await this.#syncResolve(change.store, change.key, remote, change.seq);
+
+        result.pushed += ack.length;
+        result.conflicts += conflict.length;
+
+      }
+
+    }
+
+    return result;
+
+  }
+
+
+  /**
+   * PRIVATE: get the sync settings of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {object|null} - sync settings (null when the store has no sync option)
+   */
+  #syncGet(storeName) {
+
+    const cfg = this.#options.sync?.[storeName];
+    if (!cfg) return null;
+    return cfg === true ? {} : cfg;
+
+  }
+
+
+  /**
+   * PRIVATE: record a change in the sync changelog and increment the record revision
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction including the changelog and revision stores
+   * @param {string} storeName - store name
+   * @param {string} op - put or delete
+   * @param {*} key - primary key
+   * @param {*} [value] - stored value
+   * @returns {Promise} - resolves/rejects when the change has been logged
+   */
+  #syncLog(transaction, storeName, op, key, value) {
+
+    return this.#trackRun(transaction, async () => {
+
+      const
+        rev = transaction.objectStore(REVISION),
+        id = [ storeName, key ],
+        cur = (await request( rev.get(id) )) || { version: 0, synced: 0, remote: null },
+        timestamp = Date.now();
+
+      cur.version++;
+      cur.timestamp = timestamp;
+
+      rev.put(cur, id);
+      transaction.objectStore(CHANGELOG).add({ op, store: storeName, key, value, timestamp, version: cur.version });
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: update a record revision
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction including the revision store
+   * @param {string} storeName - store name
+   * @param {*} key - primary key
+   * @param {object} revision - { synced, remote } where synced is the latest local version no longer pending and remote is the server version
+   */
+  #syncRevise(transaction, storeName, key, revision) {
+
+    const
+      store = transaction.objectStore(REVISION),
+      id = [ storeName, key ],
+      req = store.get(id);
+
+    req.onsuccess = () => {
+
+      const cur = req.result || { version: 0, synced: 0, remote: null };
+
+      store.put({
+        ...cur,
+        synced: Math.max(cur.synced, revision.synced ?? 0),
+        remote: revision.remote === undefined ? cur.remote : revision.remote
+      }, id);
+
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: copy a record and set its generated key
+   * @private
+   * @param {IDBObjectStore} store - object store
+   * @param {object} value - record
+   * @param {*} key - primary key
+   * @returns {object} - record with an autoIncrement key
+   */
+  #keySet(store, value, key) {
+
+    if (!store.autoIncrement || typeof store.keyPath !== 'string' || valueAt(value, store.keyPath) !== undefined) return value;
+
+    value = structuredClone(value);
+    valueSet(value, store.keyPath, key);
+    return value;
+
+  }
+
+
+  /**
+   * PRIVATE: get the latest pending change to each record
+   * @private
+   * @param {array} names - store names
+   * @returns {Promise} - resolves with { pending, stale } arrays of changes (stale changes have been replaced by remote changes)
+   */
+  async #syncPending(names) {
+
+    const
+      transaction = this.#tx([ CHANGELOG, REVISION ], 'readonly'),
+      log = await request( transaction.objectStore(CHANGELOG).getAll() ),
+      latest = new Map();
+
+    log.filter(c => names.includes(c.store)).forEach(c => {
+      const id = keyId([ c.store, c.key ]);
+      latest.set(id, { ...c, seq: [ ...(latest.get(id)?.seq || []), c.seq ] });
+    });
+
+    const
+      change = [ ...latest.values() ],
+      revision = await Promise.all( change.map(c => request( transaction.objectStore(REVISION).get([ c.store, c.key ]) )) ),
+      pending = [],
+      stale = [];
+
+    change.forEach((c, i) => {
+
+      const r = revision[i];
+
+      if (r && r.synced >= c.version) stale.push({ store: c.store, key: c.key, seq: c.seq });
+      else pending.push({ ...c, remote: r?.remote ?? null });
+
+    });
+
+    // decode encrypted, compressed, or chunked values
+    for (const name of names.filter(n => this.#packed(n))) {
+
+      const put = pending.filter(c => c.store === name && c.op === 'put');
+      (await this.#unpack(name, put.map(c => c.value))).forEach((v, i) => put[i].value = v);
+
+    }
+
+    return { pending, stale };
+
+  }
+
+
+  /**
+   * PRIVATE: remove pushed changes from the changelog and update record revisions
+   * @private
+   * @param {array} item - array of { store, key, seq, revision } objects where seq is an array of changelog keys
+   * @returns {Promise} - resolves/rejects when the transaction is complete
+   */
+  #syncAck(item) {
+
+    if (!item.length) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+
+      const
+        transaction = this.#tx([ CHANGELOG, REVISION ], 'readwrite'),
+        log = transaction.objectStore(CHANGELOG);
+
+      transaction.oncomplete = () => resolve();
+      this.#txAbort(transaction, reject);
+
+      item.forEach(({ store, key, seq = [], revision }) => {
+        seq.forEach(s => log.delete(s));
+        if (revision) this.#syncRevise(transaction, store, key, revision);
+      });
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: apply pulled remote changes
+   * @private
+   * @param {array} change - array of { store, key, value, deleted, version, timestamp } objects
+   * @returns {Promise} - resolves with the number of conflicts with pending local changes
+   */
+  async #syncApply(change) {
+
+    // latest change to each record
+    const latest = new Map();
+    change.forEach(c => latest.set(keyId([ c.store, c.key ]), c));
+
+    const
+      list = [ ...latest.values() ],
+      transaction = this.#tx(REVISION, 'readonly'),
+      revision = await Promise.all( list.map(c => request( transaction.objectStore(REVISION).get([ c.store, c.key ]) )) ),
+      apply = {},
+      conflict = [];
+
+    list.forEach((c, i) => {
+
+      const r = revision[i];
+
+      // remote version already stored, e.g. a pushed local change
+      if (r && c.version !== undefined && r.remote === c.version) return;
+
+      if (r && r.version > r.synced) conflict.push(c);
+      else (apply[ c.store ] ??= []).push(c);
+
+    });
+
+    for (const [ name, c ] of Object.entries(apply)) await this.#syncWrite(name, c);
+    for (const c of conflict) await this.#syncResolve(c.store, c.key, c);
+
+    return conflict.length;
+
+  }
+
+
+  /**
+   * PRIVATE: write remote changes without recording them in the changelog
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} change - array of { key, value, deleted, version } objects
+   * @param {number} [synced] - local version replaced by the remote change
+   * @returns {Promise} - resolves/rejects when the changes are written
+   */
+  async #syncWrite(storeName, change, synced) {
+
+    const
+      put = change.filter(c => !c.deleted),
+      del = change.filter(c => c.deleted),
+      revision = c => ({ synced, remote: c.version ?? null });
+
+    if (put.length) {
+
+      const packed = this.#packed(storeName) ?
+        await this.#pack(storeName, put.map(c => c.value)) :
+        put.map(c => ({ value: c.value }));
+
+      await this.#writeRaw(storeName, put.map((c, i) => ({ key: c.key, ...packed[i], revision: revision(c) })), 'put', 'sync');
+
+    }
+
+    if (del.length) {
+      await this.#writeRaw(storeName, del.map(c => ({ key: c.key, revision: revision(c) })), 'delete', 'sync');
+    }
+
+  }
+
+
+  /**
+   * PRIVATE: resolve a conflict between a pending local change and a remote change
+   * @private
+   * @param {string} storeName - store name
+   * @param {*} key - primary key
+   * @param {object} remote - remote change ({ value, deleted, version, timestamp })
+   * @param {array} [seq] - changelog keys of the rejected local change
+   * @returns {Promise} - resolves/rejects when the conflict is resolved
+   */
+  async #syncResolve(storeName, key, remote, seq = []) {
+
+    const
+      { conflict = 'lastWriteWins' } = this.#syncGet(storeName),
+      rev = (await request( this.#tx(REVISION, 'readonly').objectStore(REVISION).get([ storeName, key ]) )) || { version: 0, synced: 0, remote: null };
+
+    // merge function: record the merged record as a new local change based on the remote version
+    if (typeof conflict === 'function') {
+
+      const
+        [ local ] = await this.#unpack(storeName, [ await this.#exec(storeName, null, 'get', key) ]),
+        merged = await conflict(local, remote.deleted ? undefined : remote.value, { store: storeName, key, local: rev, remote });
+
+      await this.#syncAck([ { store: storeName, key, seq, revision: { synced: rev.version, remote: remote.version ?? null } } ]);
+
+      if (merged === undefined) await this.#exec(storeName, null, 'delete', [ key ]);
+      else await this.#update(storeName, merged, true);
+      return;
+
+    }
+
+    if (conflict !== 'lastWriteWins' && conflict !== 'serverWins') {
+      throw new PixDBError(`Unknown sync conflict strategy ${ conflict }`, { store: storeName });
+    }
+
+    // last write wins: keep a newer local change and push it again
+    if (conflict === 'lastWriteWins' && +(rev.timestamp ?? 0) > +(remote.timestamp ?? 0)) {
+      await this.#syncAck([ { store: storeName, key, revision: { remote: remote.version ?? null } } ]);
+      return;
+    }
+
+    // server wins
+    await this.#syncAck([ { store: storeName, key, seq } ]);
+    await this.#syncWrite(storeName, [ { ...remote, key } ], rev.version);
+
+  }
+
+
+  /**
+   * create or update a full-text search index on the string fields of a store.
+   * Call it after every connection which uses a custom tokenizer: the index is updated when records are written and rebuilt when it is stale or its fields change
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string|array} param.fields - key path or array of key paths to index (required)
+   * @param {function} param.tokenizer - function passed a string which returns an array of tokens (lowercase words by default)
+   * @param {boolean} param.rebuild - rebuild the index, e.g. when the tokenizer has changed
+   * @returns {Promise} - resolves/rejects with the number of indexed records (0 when the index was up to date)
+   * @example
+   * await db.createSearchIndex({ store: 'note', fields: [ 'title', 'body' ] });
+   */
+  async createSearchIndex({ store, fields, tokenizer = tokenize, rebuild = false } = {}) {
+
+    try {
+
+      await this.#ready();
+
+      fields = [].concat(fields ?? []);
+
+      if (!this.#db.objectStoreNames.contains(store)) throw new NotFoundError(`Store ${ store } not found`);
+      if (!fields.length) throw new PixDBError('createSearchIndex() requires fields');
+      if (typeof tokenizer !== 'function') throw new PixDBError('A search tokenizer must be a function');
+      if (this.#packed(store)) throw new PixDBError(`Store ${ store } is encrypted, compressed, or chunked so it cannot have a search index`);
+
+      await this.#searchStore();
+
+      // the index is stale when records were written by connections which could not update it
+      const
+        transaction = this.#tx([ store, SEARCHDOC, META ], 'readonly'),
+        [ def, count, indexed ] = await Promise.all([
+          request( transaction.objectStore(META).get([ 'search', store ]) ),
+          request( transaction.objectStore(store).count() ),
+          request( transaction.objectStore(SEARCHDOC).count( this.#searchRange(store) ) )
+        ]),
+        same = def && count === indexed && !!def.custom === (tokenizer !== tokenize) && JSON.stringify(def.fields) === JSON.stringify(fields);
+
+      this.#search[store] = { fields, tokenizer };
+
+      return same && !rebuild ? 0 : await this.#searchBuild(store, fields);
+
+    }
+    catch (e) {
+      throw toError(e, { store, operation: 'createSearchIndex' });
+    }
+
+  }
+
+
+  /**
+   * delete the full-text search index of a store
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @returns {Promise} - resolves/rejects when the index has been deleted
+   */
+  async dropSearchIndex({ store } = {}) {
+
+    try {
+
+      await this.#ready();
+      delete this.#search[store];
+
+      if (!this.#db.objectStoreNames.contains(SEARCH)) return;
+
+      await new Promise((resolve, reject) => {
+
+        const
+          transaction = this.#tx([ SEARCH, SEARCHDOC, META ], 'readwrite'),
+          range = this.#searchRange(store);
+
+        transaction.objectStore(SEARCH).delete(range);
+        transaction.objectStore(SEARCHDOC).delete(range);
+        transaction.objectStore(META).delete([ 'search', store ]);
+
+        transaction.oncomplete = () => resolve();
+        this.#txAbort(transaction, reject);
+
+      });
+
+    }
+    catch (e) {
+      throw toError(e, { store, operation: 'dropSearchIndex' });
+    }
+
+  }
+
+
+  /**
+   * find records containing words in a store with a search index.
+   * Records are ranked by how often the words occur, with rare words scoring higher
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.query - words to find. A word ending with * matches words starting with it
+   * @param {string} param.operator - and (records must contain every word, the default) or or (records contain any word)
+   * @param {boolean} param.prefix - every word matches words starting with it
+   * @param {number} param.limit - maximum records to return
+   * @returns {Promise} - resolves/rejects with an array of records in relevance order
+   * @example
+   * const note = await db.search({ store: 'note', query: 'shopping list*', limit: 10 });
+   */
+  async search({ store, query, operator = 'and', prefix = false, limit = Infinity } = {}) {
+
+    try {
+
+      await this.#ready();
+
+      const cfg = this.#searchGet(store);
+      if (!cfg) throw new PixDBError(`Store ${ store } has no search index`);
+      if (!cfg.tokenizer) throw new PixDBError(`Store ${ store } search index uses a custom tokenizer: call createSearchIndex() first`);
+      if (operator !== 'and' && operator !== 'or') throw new PixDBError(`Search operator must be and or or`);
+
+      const term = queryTerms(query, cfg.tokenizer, prefix);
+      if (!term.length || !(limit > 0)) return [];
+
+      const
+        transaction = this.#tx([ SEARCH, SEARCHDOC ], 'readonly'),
+        index = transaction.objectStore(SEARCH),
+        [ total, ...match ] = await Promise.all([
+          request( transaction.objectStore(SEARCHDOC).count( this.#searchRange(store) ) ),
+          ...term.map(t => {
+            const range = this.#searchRange(store, t.token, t.prefix);
+            return Promise.all([ request( index.getAllKeys(range) ), request( index.getAll(range) ) ]);
+          })
+        ]);
+
+      // score records: token occurrences weighted by inverse document frequency
+      let score = null;
+
+      match.forEach(([ entry, count ]) => {
+
+        const
+          s = new Map(),
+          df = new Map();
+
+        entry.forEach(([ , token ]) => df.set(token, (df.get(token) || 0) + 1));
+
+        entry.forEach(([ , token, key ], i) => {
+          const id = keyId(key);
+          s.set(id, { key, score: (s.get(id)?.score || 0) + count[i] * Math.log(1 + total / df.get(token)) });
+        });
+
+        if (!score) score = s;
+        else if (operator === 'or') s.forEach((v, id) => score.set(id, { key: v.key, score: (score.get(id)?.score || 0) + v.score }));
+        else score = new Map( [ ...score ].filter(([ id ]) => s.has(id)).map(([ id, v ]) => [ id, { key: v.key, score: v.score + s.get(id).score } ]) );
+
+      });
+
+      const
+        ranked = [ ...score.values() ].sort((a, b) => b.score - a.score || this.#backend.indexedDB.cmp(a.key, b.key)),
+        result = [];
+
+      // fetch records
+      for (let i = 0; i < ranked.length && result.length < limit;) {
+
+        const
+          part = ranked.slice(i, i += Math.min(limit - result.length, 100)),
+          { store: source } = this.#query(store),
+          rec = await Promise.all( part.map(r => request( source.get(r.key) )) );
+
+        rec.forEach(r => {
+          if (r !== undefined && !this.#expired(store, r) && result.length < limit) result.push(r);
+        });
+
+      }
+
+      return result;
+
+    }
+    catch (e) {
+      throw toError(e, { store, operation: 'search' });
+    }
+
+  }
+
+
+  /**
+   * PRIVATE: get the search index settings of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {object|null} - { fields, tokenizer } (null when the store has no search index)
+   */
+  #searchGet(storeName) {
+    return this.#search[storeName] || null;
+  }
+
+
+  /**
+   * PRIVATE: load the search index settings stored in the database, e.g. by another tab.
+   * The tokenizer of an index which uses a custom tokenizer is unknown (null) until createSearchIndex() is called
+   * @private
+   * @param {IDBDatabase} db - open database
+   * @returns {Promise} - resolves/rejects when the settings are loaded
+   */
+  async #searchLoad(db) {
+
+    if (!db.objectStoreNames.contains(META) || !db.objectStoreNames.contains(SEARCH)) {
+      this.#search = {};
+      return;
+    }
+
+    const
+      meta = db.transaction(META, 'readonly').objectStore(META),
+      range = this.#backend.IDBKeyRange.bound([ 'search' ], [ 'search\0' ], false, true),
+      [ key, def ] = await Promise.all([ request( meta.getAllKeys(range) ), request( meta.getAll(range) ) ]),
+      search = {};
+
+    key.forEach(([ , store ], i) => {
+      search[store] = {
+        fields: def[i].fields,
+        tokenizer: this.#search[store]?.tokenizer ?? (def[i].custom ? null : tokenize)
+      };
+    });
+
+    this.#search = search;
+
+  }
+
+
+  /**
+   * PRIVATE: create the search stores when they do not exist
+   * @private
+   * @returns {Promise} - resolves/rejects when the stores are available
+   */
+  async #searchStore() {
+
+    await this.#ready();
+    if (this.#db.objectStoreNames.contains(SEARCH)) return;
+
+    await this.#upgrade(db => {
+      if (!db.objectStoreNames.contains(SEARCH)) db.createObjectStore(SEARCH);
+      if (!db.objectStoreNames.contains(SEARCHDOC)) db.createObjectStore(SEARCHDOC);
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: get the key range of a store's search entries
+   * @private
+   * @param {string} storeName - store name
+   * @param {string} [token] - token (all entries in the store when not set)
+   * @param {boolean} [prefix] - match tokens starting with token
+   * @returns {IDBKeyRange} - key range
+   */
+  #searchRange(storeName, token, prefix) {
+
+    const KeyRange = this.#backend.IDBKeyRange;
+
+    return token === undefined ?
+      KeyRange.bound([ storeName ], [ storeName + '\0' ], false, true) :
+      KeyRange.bound([ storeName, token ], [ storeName, token + (prefix ? '\uffff' : '\0') ], false, true);
+
+  }
+
+
+  /**
+   * PRIVATE: rebuild the search index of a store
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} fields - indexed key paths
+   * @returns {Promise} - resolves/rejects with the number of indexed records
+   */
+  #searchBuild(storeName, fields) {
+
+    return new Promise((resolve, reject) => {
+
+      const
+        transaction = this.#tx([ storeName, SEARCH, SEARCHDOC, META ], 'readwrite'),
+        range = this.#searchRange(storeName),
+        req = transaction.objectStore(storeName).openCursor();
+
+      transaction.objectStore(SEARCH).delete(range);
+      transaction.objectStore(SEARCHDOC).delete(range);
+      transaction.objectStore(META).put({ fields, custom: this.#searchGet(storeName).tokenizer !== tokenize }, [ 'search', storeName ]);
+
+      let count = 0;
+
+      req.onsuccess = () => {
+
+        const cursor = req.result;
+        if (!cursor) return;
+
+        this.#searchPut(transaction, storeName, cursor.primaryKey, cursor.value);
+        count++;
+        cursor.continue();
+
+      };
+
+      transaction.oncomplete = () => resolve(count);
+      this.#txAbort(transaction, reject);
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: add the tokens of a record to the search index
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction including the search stores
+   * @param {string} storeName - store name
+   * @param {*} key - primary key
+   * @param {object} value - record
+   */
+  #searchPut(transaction, storeName, key, value) {
+
+    const
+      { fields, tokenizer } = this.#searchGet(storeName),
+      count = tokenCount(value, fields, tokenizer),
+      index = transaction.objectStore(SEARCH);
+
+    count.forEach((n, token) => index.put(n, [ storeName, token, key ]));
+    transaction.objectStore(SEARCHDOC).put([ ...count.keys() ], [ storeName, key ]);
+
+  }
+
+
+  /**
+   * PRIVATE: replace or remove the tokens of a record in the search index
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction including the search stores
+   * @param {string} storeName - store name
+   * @param {string} op - put or delete
+   * @param {*} key - primary key
+   * @param {object} [value] - record
+   * @returns {Promise} - resolves/rejects when the index has been updated
+   */
+  #searchUpdate(transaction, storeName, op, key, value) {
+
+    return this.#trackRun(transaction, async () => {
+
+      const
+        doc = transaction.objectStore(SEARCHDOC),
+        index = transaction.objectStore(SEARCH),
+        old = (await request( doc.get([ storeName, key ]) )) || [];
+
+      old.forEach(token => index.delete([ storeName, token, key ]));
+
+      // unknown custom tokenizer: the record is not indexed so createSearchIndex() rebuilds the index
+      if (op === 'delete' || !this.#searchGet(storeName).tokenizer) doc.delete([ storeName, key ]);
+      else this.#searchPut(transaction, storeName, key, value);
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: does a store record changes in the sync changelog or a search index, or delete records related by cascade relations?
+   * @private
+   * @param {string} storeName - store name
+   * @returns {boolean} - changes to every record must be tracked
+   */
+  #tracked(storeName) {
+    return !!(this.#syncGet(storeName) || this.#searchGet(storeName) || this.#cascadeStores(storeName).length);
+  }
+
+
+  /**
+   * PRIVATE: run a function which reads and writes tracking records after earlier functions in the same transaction
+   * @private
+   * @param {IDBTransaction} transaction - transaction
+   * @param {function} fn - async function
+   * @returns {Promise} - resolves/rejects when the function completes
+   */
+  #trackRun(transaction, fn) {
+
+    const p = (this.#trackQueue.get(transaction) || Promise.resolve()).then(fn);
+    this.#trackQueue.set(transaction, p.catch(() => {}));
+    return p;
+
+  }
+
+
+  /**
+   * PRIVATE: get the relations of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {object} - relation definitions ({ store, field, index, many, cascade }) keyed by relation name
+   */
+  #relationGet(storeName) {
+    return this.#options.relations?.[storeName] ?? this.#dbSchema?.stores?.[storeName]?.relations ?? {};
+  }
+
+
+  /**
+   * PRIVATE: get relations requested by an include parameter
+   * @private
+   * @param {string} storeName - store name
+   * @param {string|array} include - relation name or array of names
+   * @returns {array} - array of relation definitions with a name property
+   */
+  #relationList(storeName, include) {
+
+    const def = this.#relationGet(storeName);
+
+    return [ ...new Set([].concat(include)) ].map(name => {
+
+      if (!def[name]?.store) throw new NotFoundError(`Relation ${ name } not found in store ${ storeName }`, { store: storeName });
+      return { ...def[name], name };
+
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: get the stores of records deleted with a store's records by cascade relations
+   * @private
+   * @param {string} storeName - store name
+   * @returns {array} - related store names (excluding storeName)
+   */
+  #cascadeStores(storeName) {
+
+    const name = new Set([ storeName ]);
+
+    // related stores are added while the set is iterated
+    name.forEach(s => {
+      Object.values( this.#relationGet(s) ).forEach(r => {
+        if (r?.cascade && r.store) name.add(r.store);
+      });
+    });
+
+    name.delete(storeName);
+    return [ ...name ];
+
+  }
+
+
+  /**
+   * PRIVATE: start a readonly transaction to read records and their related records
+   * @private
+   * @param {string} storeName - store name
+   * @param {string|array} include - relation name or array of names
+   * @returns {IDBTransaction|null} - transaction (null when include is not set or records must be decoded before related records are read)
+   */
+  #includeTx(storeName, include) {
+
+    if (!include || !this.#db || this.#packed(storeName)) return null;
+
+    return this.#tx(
+      [ ...new Set([ storeName, ...this.#relationList(storeName, include).map(r => r.store) ]) ],
+      'readonly'
+    );
+
+  }
+
+
+  /**
+   * PRIVATE: add related records to records.
+   * Every lookup is requested in a single transaction and each key is fetched once
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} record - array of records (undefined values are ignored)
+   * @param {string|array} include - relation name or array of names
+   * @param {IDBTransaction} [tx] - transaction including the store and related stores (a new transaction is created when not set)
+   * @param {boolean} [shared] - tx is a transaction() callback transaction which must not be committed while decoding records
+   * @returns {Promise} - resolves/rejects with the records
+   */
+  async #include(storeName, record, include, tx, shared) {
+
+    if (!include || !record.some(r => r !== undefined)) return record;
+
+    const
+      rel = this.#relationList(storeName, include),
+      transaction = tx || this.#tx([ ...new Set([ storeName, ...rel.map(r => r.store) ]) ], 'readonly'),
+      keyPath = transaction.objectStore(storeName).keyPath;
+
+    // request related records
+    const lookup = rel.map(({ name, store, field, index, many }) => {
+
+      if (shared && this.#packed(store)) {
+        throw new PixDBError(`Store ${ store } encrypts, compresses, or chunks records so cannot be included in a transaction() callback`, { store });
+      }
+
+      if (!field && keyPath === null) {
+        throw new PixDBError(`Relation ${ name } in store ${ storeName } requires a field because records have out-of-line keys`, { store: storeName });
+      }
+
+      const
+        source = index ? transaction.objectStore(store).index(index) : transaction.objectStore(store),
+        found = new Map();
+
+      record.forEach(r => {
+
+        const ref = r === undefined ? undefined : valueAt(r, field ?? keyPath);
+        if (ref === undefined || ref === null) return;
+
+        const id = keyId(ref);
+        if (!found.has(id)) found.set(id, request( many ? source.getAll(ref) : source.get(ref) ));
+
+      });
+
+      return found;
+
+    });
+
+    // decode related records
+    await Promise.all( lookup.map((found, i) => Promise.all(
+      [ ...found ].map(async ([ id, req ]) => {
+
+        const
+          { store } = rel[i],
+          value = await this.#unpack(store, [].concat( await req ));
+
+        found.set(id, value.filter(v => v !== undefined && !this.#expired(store, v)));
+
+      })
+    )));
+
+    // add related records
+    record.forEach(r => {
+
+      if (r === undefined) return;
+
+      rel.forEach(({ name, field, many }, i) => {
+
+        const
+          ref = valueAt(r, field ?? keyPath),
+          value = ref === undefined || ref === null ? [] : lookup[i].get( keyId(ref) );
+
+        r[name] = many ? value : value[0];
+
+      });
+
+    });
+
+    return record;
+
+  }
+
+
+  /**
+   * PRIVATE: delete records related to a deleted record by cascade relations
+   * @private
+   * @param {IDBTransaction} transaction - readwrite transaction including the related stores
+   * @param {string} storeName - store of the deleted record
+   * @param {object} value - deleted record
+   * @param {*} key - primary key of the deleted record
+   * @param {Map} related - arrays of deleted keys keyed by store name (updated)
+   * @returns {Promise} - resolves/rejects when related records have been deleted
+   */
+  #cascade(transaction, storeName, value, key, related) {
+
+    const rel = Object.values( this.#relationGet(storeName) ).filter(r => r?.cascade && r.store);
+
+    return Promise.all( rel.map(({ store, field, index }) => new Promise((resolve, reject) => {
+
+      const ref = field ? valueAt(value, field) : key;
+
+      if (ref === undefined || ref === null) {
+        resolve();
+        return;
+      }
+
+      const
+        { store: source, track } = this.#query(store, index, true, transaction),
+        req = source.openCursor(ref),
+        pending = [];
+
+      req.onsuccess = () => {
+
+        const cursor = req.result;
+
+        if (!cursor) {
+          Promise.all(pending).then(resolve, reject);
+          return;
+        }
+
+        const { primaryKey, value: v } = cursor;
+
+        cursor.delete();
+        if (track) pending.push( track('delete', primaryKey) );
+        pending.push( this.#cascade(transaction, store, v, primaryKey, related) );
+
+        if (!related.has(store)) related.set(store, []);
+        related.get(store).push(primaryKey);
+
+        cursor.continue();
+
+      };
+
+      req.onerror = () => reject( toError(req.error, { store }) );
+
+    })));
+
+  }
+
+
+  /**
+   * re-encrypt all records in an encrypted store with a new key.
+   * Records can be read with the old or new key until rotation completes
+   * @param {object} param
+   * @param {string} param.store - encrypted object store (required)
+   * @param {CryptoKey} param.key - new AES-GCM key (required)
+   * @param {number} param.batch - records re-encrypted per transaction (default 100)
+   * @returns {Promise} - resolves/rejects with the number of re-encrypted records
+   * @example
+   * const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+   * await db.rotateKey({ store: 'user', key });
+   */
+  async rotateKey({ store, key, batch = 100 } = {}) {
+
+    await this.#ready();
+
+    const cfg = this.#options.encrypt?.[store] && this.#packGet(store);
+    if (!cfg) throw new PixDBError(`Store ${ store } is not encrypted`, { store, operation: 'rotateKey' });
+    if (!key) throw new PixDBError('rotateKey() requires a CryptoKey', { store, operation: 'rotateKey' });
+
+    // decrypt with new or old keys
+    this.#cryptoKeys[store] = [ key, ...cfg.keys ];
+
+    let last, count = 0, keys;
+
+    try {
+
+      do {
+
+        const
+          { store: source } = this.#query(store),
+          range = last === undefined ? undefined : this.#backend.IDBKeyRange.lowerBound(last, true),
+          [ value ] = await Promise.all([
+            request( source.getAll(range, batch) ),
+            request( source.getAllKeys(range, batch) ).then(k => keys = k)
+          ]);
+
+        if (!keys.length) break;
+
+        const rec = await this.#pack(store, await this.#unpack(store, value));
+        await this.#writeRaw(store, keys.map((k, i) => ({ key: k, ...rec[i] })), 'put', 'rotateKey');
+
+        last = keys.at(-1);
+        count += keys.length;
+
+      } while (keys.length >= batch);
+
+    }
+    catch (e) {
+      throw toError(e, { store, operation: 'rotateKey' });
+    }
+
+    this.#cryptoKeys[store] = [ key ];
+    return count;
+
+  }
+
+
+  /**
+   * PRIVATE: does a store encrypt, compress, or chunk records?
+   * @private
+   * @param {string} storeName - store name
+   * @returns {boolean} - records are transformed before they are stored
+   */
+  #packed(storeName) {
+
+    const opt = this.#options;
+    return !!(opt.encrypt?.[storeName] || opt.compress?.[storeName] || opt.chunk?.[storeName]);
+
+  }
+
+
+  /**
+   * PRIVATE: get the encryption, compression, and chunk settings of a store
+   * @private
+   * @param {string} storeName - store name
+   * @returns {object|null} - { keyPath, clear, keys, compress, chunk } or null when the store does not transform records
+   */
+  #packGet(storeName) {
+
+    if (!this.#packed(storeName)) return null;
+
+    let
+      enc = this.#options.encrypt?.[storeName],
+      zip = this.#options.compress?.[storeName];
+
+    const chunk = this.#options.chunk?.[storeName];
+
+    if (enc && !enc.key) enc = { key: enc };
+    if (zip && typeof zip !== 'object') zip = { format: zip };
+
+    // key paths stored in clear: keyPath, indexes, expiry, and clear options
+    if (!this.#packing[storeName]) {
+
+      const
+        store = this.#tx(storeName, 'readonly').objectStore(storeName),
+        clear = new Set([
+          ...[].concat(store.keyPath ?? []),
+          ...Array.from(store.indexNames).flatMap(name => [].concat(store.index(name).keyPath)),
+          ...[].concat(this.#expireGet(storeName) ?? []),
+          ...[].concat(enc?.clear ?? []),
+          ...[].concat(zip?.clear ?? [])
+        ]);
+
+      this.#packing[storeName] = { keyPath: store.keyPath, clear: [ ...clear ].filter(kp => kp !== '') };
+
+    }
+
+    if (enc) this.#cryptoKeys[storeName] ||= [ enc.key, ...[].concat(enc.previous ?? []) ];
+
+    return {
+      ...this.#packing[storeName],
+      keys: enc ? this.#cryptoKeys[storeName] : null,
+      compress: zip ? { format: typeof zip.format === 'string' ? zip.format : 'gzip', minSize: zip.minSize ?? 1024 } : null,
+      chunk: chunk ? (typeof chunk === 'number' ? chunk : chunk.size ?? 1048576) : 0
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: compress, encrypt, then chunk records
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} record - array of records
+   * @returns {Promise} - resolves with an array of { value, chunk } objects where chunk is an array of { key, data } chunk records
+   */
+  #pack(storeName, record) {
+
+    const { clear, keys, compress, chunk } = this.#packGet(storeName);
+
+    return Promise.all( record.map(async value => {
+
+      if (compress) value = await compressValue(value, compress.format, clear, compress.minSize);
+      if (keys) value = await encryptValue(keys[0], value, clear);
+
+      return chunk ? this.#chunkSplit(storeName, value, chunk) : { value, chunk: [] };
+
+    }) );
+
+  }
+
+
+  /**
+   * PRIVATE: reassemble, decrypt, and decompress stored values (values are returned unchanged when the store does not transform records)
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} value - array of stored values
+   * @returns {Promise} - resolves/rejects with an array of records
+   */
+  async #unpack(storeName, value) {
+
+    const cfg = this.#packGet(storeName);
+    if (!cfg) return value;
+
+    try {
+
+      if (cfg.chunk) value = await this.#chunkJoin(storeName, value);
+
+      return await Promise.all( value.map(async v => {
+
+        const key = cfg.keyPath === null ? undefined : valueAt(v, cfg.keyPath);
+
+        if (cfg.keys) v = await decryptValue(cfg.keys, v, cfg.keyPath);
+        v = await decompressValue(v);
+
+        // generated key
+        if (typeof cfg.keyPath === 'string' && key !== undefined && v && typeof v === 'object' && valueAt(v, cfg.keyPath) === undefined) {
+          valueSet(v, cfg.keyPath, key);
+        }
+
+        return v;
+
+      }) );
+
+    }
+    catch (e) {
+      throw toError(e, { store: storeName });
+    }
+
+  }
+
+
+  /**
+   * PRIVATE: replace large binary values with references to chunk records
+   * @private
+   * @param {string} storeName - store name
+   * @param {*} value - value to store
+   * @param {number} size - maximum chunk size in bytes
+   * @returns {Promise} - resolves with { value, chunk } where chunk is an array of { key, data } chunk records
+   */
+  async #chunkSplit(storeName, value, size) {
+
+    const split = await chunkSplit(value, size);
+
+    return {
+      value: split.value,
+      chunk: split.chunk.map(({ id, n, data }) => ({ key: [ storeName, id, n ], data }))
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: replace chunk references with binary values from the chunk store
+   * @private
+   * @param {string} storeName - store name
+   * @param {array} value - array of stored values
+   * @returns {Promise} - resolves/rejects with an array of values
+   */
+  async #chunkJoin(storeName, value) {
+
+    const ref = value.flatMap(v => chunkRefs(v));
+    if (!ref.length) return value;
+
+    const data = await new Promise((resolve, reject) => {
+
+      const
+        transaction = this.#tx(CHUNK, 'readonly'),
+        store = transaction.objectStore(CHUNK),
+        data = new Map();
+
+      ref.forEach(({ id }) => {
+        const request = store.getAll( this.#backend.IDBKeyRange.bound([ storeName, id ], [ storeName, id, [] ]) );
+        request.onsuccess = () => data.set(id, request.result);
+      });
+
+      transaction.oncomplete = () => resolve(data);
+      this.#txAbort(transaction, reject);
+
+    });
+
+    ref.forEach(({ id, count }) => {
+      if (data.get(id)?.length !== count) throw new PixDBError(`Chunk data ${ id } not found`, { store: storeName });
+    });
+
+    return Promise.all( value.map(v => chunkJoin(v, data)) );
+
+  }
+
+
+  /**
+   * PRIVATE: create the chunk store when it does not exist
+   * @private
+   * @returns {Promise} - resolves/rejects when the store is available
+   */
+  async #chunkStore() {
+
+    await this.#ready();
+    if (this.#db.objectStoreNames.contains(CHUNK)) return;
+
+    await this.#upgrade(db => {
+      if (!db.objectStoreNames.contains(CHUNK)) db.createObjectStore(CHUNK);
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: delete chunk records no longer referenced by a store.
+   * This runs after records are overwritten or deleted and scans the whole store
+   * @private
+   * @param {string} storeName - store name
+   */
+  #chunkClean(storeName) {
+
+    if (this.#chunkPending.has(storeName)) return;
+    this.#chunkPending.add(storeName);
+
+    setTimeout(() => {
+
+      this.#chunkPending.delete(storeName);
+
+      this.#ready().then(() => new Promise((resolve, reject) => {
+
+        if (!this.#db.objectStoreNames.contains(CHUNK)) {
+          resolve();
+          return;
+        }
+
+        const
+          transaction = this.#tx([ storeName, CHUNK ], 'readwrite'),
+          chunk = transaction.objectStore(CHUNK),
+          request = transaction.objectStore(storeName).openCursor(),
+          used = new Set();
+
+        // find referenced chunks
+        request.onsuccess = () => {
+
+          const cursor = request.result;
+
+          if (cursor) {
+            chunkRefs(cursor.value).forEach(({ id }) => used.add(id));
+            cursor.continue();
+            return;
+          }
+
+          // delete others
+          const keys = chunk.openKeyCursor( this.#backend.IDBKeyRange.bound([ storeName ], [ storeName, [] ]) );
+
+          keys.onsuccess = () => {
+            const c = keys.result;
+            if (!c) return;
+            if (!used.has(c.primaryKey[1])) chunk.delete(c.primaryKey);
+            c.continue();
+          };
+
+        };
+
+        transaction.oncomplete = resolve;
+        this.#txAbort(transaction, reject);
+
+      })).catch(() => {});
+
+    }, 0);
+
+  }
+
+
+  /**
+   * fetch all records in a range and pass each to a processing function
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
    * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
    * @param {string} param.direction - direction to travel (next, nextunique, prev, prevunique)
-   * @param {function} param.callback - cursor is passed to this synchronous function. It can return a positive integer to jump forward N records
+   * @param {function} param.callback - cursor is passed to this synchronous function. It can return a positive integer to jump forward N records (encrypted, compressed, and chunked stores pass a read-only { key, primaryKey, value, direction } object)
+   * @returns {Promise} - resolves/rejects once all records have been processed
+   * @example
+   * await db.getCursor({
+   *   store: 'state',
+   *   callback: cursor => console.log(cursor.value)
+   * });
+   */
+  getCursor(param = {}) {
+    return this.#pipe('getCursor', param, null, p => this.#cursor(p));
+  }
+
+
+  /**
+   * PRIVATE: generic cursor
+   * @private
+   * @param {object} param - getCursor() parameters
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
    * @returns {Promise} - resolves/rejects once all records have been processed
+   */
+  #cursor({ store, index, lowerBound, upperBound, range, direction = 'next', callback } = {}, tx) {
+
+    // encrypted, compressed, or chunked store: pass decoded values
+    if (!tx && this.#packed(store)) {
+
+      return this.#entries({ store, index, lowerBound, upperBound, range, direction })
+        .then(entry => {
+          for (let i = 0; i < entry.length; i += (callback && callback({ ...entry[i], direction })) || 1);
+          return true;
+        })
+        .catch(e => {
+          throw toError(e, { store, index, operation: 'getCursor' });
+        });
+
+    }
+
+    return this.#ready(tx).then(() => new Promise((resolve, reject) => {
+
+      const
+        { transaction, store: source } = this.#query(store, index, false, tx),
+        request = source.openCursor(
+          this.#keyRange(range, lowerBound, upperBound),
+          direction
+        );
+
+      // run callback with current value
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve(true);
+          return;
+        }
+
+        try {
+          cursor.advance( (callback && callback(cursor)) || 1 );
+        }
+        catch (e) {
+          if (!tx) transaction.abort();
+          reject(e);
+        }
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    })).catch(e => {
+      throw toError(e, { store, index, operation: 'getCursor' });
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: fetch and decode all records in a range
+   * @private
+   * @param {object} param - getCursor() parameters without a callback
+   * @param {*} [param.key] - primary key of a single record (used instead of lowerBound, upperBound, and range)
+   * @returns {Promise} - resolves/rejects with an array of { key, primaryKey, value } objects
+   */
+  #entries({ store, index, key, lowerBound, upperBound, range, direction = 'next' }) {
+
+    return this.#ready().then(() => new Promise((resolve, reject) => {
+
+      const
+        request = this.#query(store, index).store.openCursor( key === undefined ? this.#keyRange(range, lowerBound, upperBound) : key, direction ),
+        entry = [];
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          resolve(entry);
+          return;
+        }
+
+        entry.push({ key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value });
+        cursor.continue();
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    })).then(async entry => {
+
+      const value = await this.#unpack(store, entry.map(e => e.value));
+      entry.forEach((e, i) => e.value = value[i]);
+      return entry;
+
+    });
+
+  }
+
+
+  /**
+   * create a chainable query on an object store
+   * @param {string} store - object store (required)
+   * @returns {PixQuery} - query builder
+   * @example
+   * const rec = await db.query('state')
+   *   .where('expire')
+   *   .between(a, b)
+   *   .filter(r => r.value > 1)
+   *   .reverse()
+   *   .offset(20)
+   *   .limit(10)
+   *   .toArray();
+   */
+  query(store) {
+
+    return new PixQuery(store, {
+      store: storeName => this.#ready().then(() => this.#query(storeName).store),
+      bound: (lowerBound, upperBound, lowerOpen, upperOpen) => this.#bound(lowerBound, upperBound, lowerOpen, upperOpen),
+      cmp: (a, b) => this.#backend.indexedDB.cmp(a, b),
+      read: storeName => this.#packed(storeName) ? value => this.#unpack(storeName, value) : null
+    });
+
+  }
+
+
+  /**
+   * iterate through records in a range using an async iterator or ReadableStream.
+   * Records are fetched in batches so any async work can be awaited between records
+   * @param {object} param
+   * @param {string} param.store - object store (required)
+   * @param {string} param.index - object store index
+   * @param {*} param.lowerBound - lower key value
+   * @param {*} param.upperBound - upper key value
+   * @param {IDBKeyRange|object} param.range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object used instead of lowerBound and upperBound
+   * @param {string} param.direction - direction to travel (next, nextunique, prev, prevunique)
+   * @param {number} param.batch - number of records fetched per transaction (default 100)
+   * @returns {object} - async iterable object with a toStream() method which returns a ReadableStream
+   * @example
+   * for await (const rec of db.iterate({ store: 'state', index: 'expireIdx' })) {
+   *   await process(rec);
+   *   if (rec.value > 10) break;
+   * }
+   * @example
+   * const stream = db.iterate({ store: 'state' }).toStream();
+   */
+  iterate({ store, index, lowerBound, upperBound, range, direction = 'next', batch = 100 } = {}) {
+
+    const bound = this.#keyRange(range, lowerBound, upperBound);
+
+    // fetch next batch
+    const page = after => {
+
+      const q = this.query(store).where(index ?? null).limit(batch).after(after);
+      if (bound) q.between(bound.lower, bound.upper, bound.lowerOpen, bound.upperOpen);
+      if (direction.startsWith('prev')) q.reverse();
+      if (direction.endsWith('unique')) q.unique();
+      return q.page();
+
+    };
+
+    // index does not exist
+    const check = () => index ?
+      this.#ready().then(() => this.#query(store, index)).catch(e => {
+        throw toError(e, { store, index, operation: 'iterate' });
+      }) :
+      null;
+
+    // record generator
+    async function* records() {
+
+      await check();
+
+      let next = null;
+      do {
+        const p = await page(next);
+        yield* p.items;
+        next = p.next;
+      } while (next);
+
+    }
+
+    return {
+
+      [Symbol.asyncIterator]: records,
+
+      toStream: () => {
+
+        const it = records();
+
+        return new ReadableStream({
+
+          async pull(controller) {
+            const { value, done } = await it.next();
+            if (done) controller.close();
+            else controller.enqueue(value);
+          },
+
+          async cancel() {
+            await it.return();
+          }
+
+        }, { highWaterMark: batch });
+
+      }
+
+    };
+
+  }
+
+
+  /**
+   * run a set of operations in a single transaction across one or more stores.
+   * The transaction commits when the callback resolves and aborts (rolling back every change) when it throws or a request fails.
+   * Only await PixDB transaction methods in the callback: awaiting other Promises (fetch, timers, etc.) lets IndexedDB commit the transaction early.
+   * Operations made before an early commit are not rolled back and later operations reject with a TransactionAbortedError
+   * @param {object} param
+   * @param {string|array} param.stores - object store name or array of names (required). Stores of records related by cascade relations are added in readwrite mode
+   * @param {string} param.mode - transaction mode: readwrite (the default) or readonly
+   * @param {function} callback - async function passed a transaction object with add, put, get, getAll, getAllKeys, getKeys, distinct, count, delete, deleteAll, updateWhere, deleteWhere, clear, cursor, and abort methods
+   * @returns {Promise} - resolves with the callback's return value when the transaction commits or rejects when it aborts
    * @example
-   * await db.getCursor({
-   *   store: 'state',
-   *   callback: cursor => console.log(cursor.value)
+   * await db.transaction({ stores: ['cart', 'orders'] }, async tx => {
+   *   const order = await tx.get({ store: 'cart', key: 1 });
+   *   await tx.add({ store: 'orders', item: order });
+   *   await tx.delete({ store: 'cart', key: 1 });
    * });
    */
-  getCursor({ store, index, lowerBound, upperBound, direction = 'next', callback } = {}) {
+  transaction({ stores, mode = 'readwrite' } = {}, callback) {
 
-    return new Promise((resolve, reject) => {
+    return this.#ready().then(() => new Promise((resolve, reject) => {
 
       const
-        request = this.#query(store, index).store.openCursor(
-          this.#bound(lowerBound, upperBound),
-          direction
+        write = mode === 'readwrite',
+        name = [ ...new Set( [].concat(stores).flatMap(s => write ? [ s, ...this.#cascadeStores(s) ] : s) ) ],
+        sync = write && name.some(s => this.#syncGet(s)),
+        search = write && name.some(s => this.#searchGet(s)),
+        transaction = this.#tx(
+          [ ...name, ...(sync ? [ CHANGELOG, REVISION ] : []), ...(search ? [ SEARCH, SEARCHDOC ] : []) ],
+          mode,
+          { durability: mode === 'readwrite' ? 'strict' : 'default' }
+        ),
+        state = { complete: false, finished: false, inactive: false, aborted: false, error: null, result: undefined },
+        changes = [];
+
+      this.#txChange.set(transaction, changes);
+
+      // committed
+      transaction.oncomplete = () => {
+        state.complete = true;
+        if (state.finished) resolve(state.result);
+        changes.forEach(({ store, type, keys }) => this.#change(store, type, keys));
+      };
+
+      // failed request which aborts the transaction (continueOnError failures do not propagate)
+      transaction.onerror = e => {
+        state.error ??= e.target.error;
+      };
+
+      // aborted: a running callback reports the failure when it settles
+      transaction.onabort = () => {
+        state.aborted = true;
+        state.error ??= transaction.error;
+        if (state.finished) reject( this.#txAbortError(state) );
+      };
+
+      // run callback
+      let run;
+      try {
+        run = Promise.resolve( callback( this.#txWrap(transaction, state) ) );
+      }
+      catch (e) {
+        run = Promise.reject(e);
+      }
+
+      run
+        .then(result => {
+
+          state.finished = true;
+          state.result = result;
+
+          // a request failed after the callback caught its error
+          if (state.aborted) reject( this.#txAbortError(state) );
+
+          // transaction committed early but no further requests were made
+          else if (state.complete) resolve(result);
+          else {
+            try { transaction.commit(); }
+            catch { /* already committing */ }
+          }
+
+        })
+        .catch(e => {
+
+          state.finished = true;
+
+          if (state.complete && !state.inactive) {
+            reject( new PixDBError(`Transaction committed before the callback failed so changes were not rolled back: ${ e.message }`, { cause: e }) );
+            return;
+          }
+
+          try { transaction.abort(); }
+          catch { /* already aborted */ }
+          reject(e);
+
+        });
+
+    })).catch(e => {
+      throw toError(e, { store: stores, operation: 'transaction' });
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: create the error reported when a transaction() transaction aborts
+   * @private
+   * @param {object} state - transaction state
+   * @returns {TransactionAbortedError} - error with the failed request's error as the cause
+   */
+  #txAbortError(state) {
+
+    if (!state.error) return toError(null);
+
+    const cause = toError(state.error);
+    return new TransactionAbortedError(`Transaction aborted by a failed request: ${ cause.message }`, { cause });
+
+  }
+
+
+  /**
+   * PRIVATE: return transaction object passed to a transaction() callback
+   * @private
+   * @param {IDBTransaction} transaction - shared transaction
+   * @param {object} state - transaction state
+   * @returns {object} - object with store methods scoped to the transaction
+   */
+  #txWrap(transaction, state) {
+
+    // ensure transaction is active
+    const run = (fn, store) => {
+
+      if (state.aborted) return Promise.reject( this.#txAbortError(state) );
+
+      if (state.complete) {
+        state.inactive = true;
+        return Promise.reject( new TransactionAbortedError('Transaction has already committed (earlier operations were not rolled back): do not await non-PixDB Promises inside a transaction() callback') );
+      }
+
+      // encryption and compression are asynchronous so would commit the transaction
+      if (store && this.#packed(store)) {
+        return Promise.reject( new PixDBError(`Store ${ store } encrypts, compresses, or chunks records so cannot be read or written in a transaction() callback`, { store }) );
+      }
+
+      return fn().catch(e => {
+
+        const err = e?.cause || e;
+        if (err?.name !== 'TransactionInactiveError' && err?.name !== 'InvalidStateError') throw e;
+
+        // aborted by an earlier failed request
+        if (state.aborted || state.error) throw this.#txAbortError(state);
+
+        // other invalid state, e.g. a cursor which has finished
+        if (err.name === 'InvalidStateError' && !state.complete) throw e;
+
+        state.inactive = true;
+        throw new TransactionAbortedError(
+          state.complete ?
+            'Transaction has already committed (earlier operations were not rolled back): do not await non-PixDB Promises inside a transaction() callback' :
+            'Transaction is no longer active: do not await non-PixDB Promises inside a transaction() callback',
+          { cause: err }
         );
 
-      // run callback with current value
-      request.onsuccess = () => {
-        const cursor = request.result;
-        if (cursor) {
-          cursor.advance( (callback && callback(cursor)) || 1 );
+      });
+
+    };
+
+    return {
+
+      add: (param = {}) => run(() => this.#pipe('add', param, transaction, ({ store, item = [], continueOnError }, input) => this.#update(store, item, false, transaction, { continueOnError, validate: input.item })), param.store),
+
+      put: (param = {}) => run(() => this.#pipe('put', param, transaction, ({ store, item = [], continueOnError }, input) => this.#update(store, item, true, transaction, { continueOnError, validate: input.item })), param.store),
+
+      get: (param = {}) => run(() => this.#pipe('get', param, transaction, ({ store, index, key, include }) => this.#exec(store, index, 'get', key, transaction)
+        .then(rec => this.#include(store, [ rec ], include, transaction, true))
+        .then(([ rec ]) => rec)
+      ), param.store),
+
+      getAll: (param = {}) => run(() => this.#pipe('getAll', param, transaction, ({ store, index, lowerBound, upperBound, range, direction, count, include }) => ((count && this.#expireGet(store)) || (direction && direction !== 'next') ?
+        this.#cursorAll({ store, index, lowerBound, upperBound, range, direction, count, skip: r => this.#expired(store, r) }, true, transaction, 'getAll').then(entry => entry.map(e => e.value)) :
+        this.#exec(store, index, 'getAll', () => [ this.#keyRange(range, lowerBound, upperBound), count ], transaction)
+      )
+        .then(rec => this.#include(store, rec, include, transaction, true))
+      ), param.store),
+
+      getAllKeys: (param = {}) => run(() => this.#pipe('getAllKeys', param, transaction, ({ store, index, lowerBound, upperBound, range, direction, count }) => direction && direction !== 'next' ?
+        this.#cursorAll({ store, index, lowerBound, upperBound, range, direction, count }, false, transaction, 'getAllKeys').then(entry => entry.map(e => e.primaryKey)) :
+        this.#exec(store, index, 'getAllKeys', () => [ this.#keyRange(range, lowerBound, upperBound), count ], transaction)
+      )),
+
+      getKeys: (param = {}) => run(() => this.#pipe('getKeys', param, transaction, p => this.#cursorAll(p, false, transaction, 'getKeys'))),
+
+      distinct: (param = {}) => run(() => this.#pipe('distinct', param, transaction, ({ direction = 'next', ...p }) => this.#cursorAll({ ...p, direction: direction.startsWith('prev') ? 'prevunique' : 'nextunique' }, false, transaction, 'distinct').then(entry => entry.map(e => e.key)))),
+
+      count: (param = {}) => run(() => this.#pipe('count', param, transaction, ({ store, index, lowerBound, upperBound, range }) => this.#exec(store, index, 'count', () => this.#keyRange(range, lowerBound, upperBound), transaction))),
+
+      delete: (param = {}) => run(() => this.#pipe('delete', param, transaction, ({ store, key }) => this.#cascadeStores(store).length ?
+        this.#modify({ store, key, operation: 'delete' }, true, transaction).then(() => undefined) :
+        this.#exec(store, null, 'delete', [ key ], transaction)
+      )),
+
+      deleteAll: (param = {}) => run(() => this.#pipe('deleteAll', param, transaction, ({ store, index, lowerBound, upperBound, range }) => index || this.#tracked(store) ?
+        this.#modify({ store, index, lowerBound, upperBound, range, operation: 'deleteAll' }, true, transaction) :
+        this.#exec(store, null, 'delete', () => [ this.#keyRange(range, lowerBound, upperBound) ], transaction)
+      )),
+
+      updateWhere: (param = {}) => run(() => this.#modify(param, false, transaction), param.store),
+
+      deleteWhere: ({ store, index, lowerBound, upperBound, range, filter } = {}) => run(() => this.#modify({ store, index, lowerBound, upperBound, range, filter }, true, transaction), filter && store),
+
+
+      clear: (param = {}) => run(() => this.#pipe('clear', param, transaction, ({ store }) => this.#tracked(store) ?
+        this.#modify({ store, operation: 'clear' }, true, transaction).then(() => undefined) :
+        this.#exec(store, null, 'clear', [], transaction)
+      )),
+
+      cursor: (param = {}) => run(() => this.#pipe('getCursor', param, transaction, p => this.#cursor(p, transaction)), param.store),
+
+      abort: () => transaction.abort()
+
+    };
+
+  }
+
+
+  /**
+   * export database schema and records
+   * @param {object} param
+   * @param {string|array} param.stores - object store name or array of names (all stores when not set)
+   * @param {string} param.format - json (the default) or ndjson (newline-delimited JSON with the schema on the first line and one record per line)
+   * @returns {Promise} - resolves with a JSON or NDJSON string
+   * @example
+   * const backup = await db.export({ format: 'ndjson' });
+   */
+  async export({ stores, format = 'json' } = {}) {
+
+    await this.#ready();
+
+    const names = (stores ? [].concat(stores) : Array.from(this.#db.objectStoreNames)).filter(n => !isInternal(n));
+
+    // read all stores in one transaction
+    const data = await new Promise((resolve, reject) => {
+
+      const
+        transaction = this.#tx(names, 'readonly'),
+        out = [];
+
+      names.forEach(name => {
+
+        const
+          store = transaction.objectStore(name),
+          keys = store.getAllKeys(),
+          values = store.getAll();
+
+        values.onsuccess = () => out.push({ def: PixDB.#storeDef(store), keys: keys.result, values: values.result });
+
+      });
+
+      transaction.oncomplete = () => resolve(out);
+      this.#txAbort(transaction, reject);
+
+    }).catch(e => {
+      throw toError(e, { store: stores, operation: 'export' });
+    });
+
+    // restore chunked binary values
+    for (const d of data) {
+      if (this.#options.chunk?.[ d.def.name ]) d.values = await this.#chunkJoin(d.def.name, d.values);
+    }
+
+    const header = {
+      pixdb: 1,
+      name: this.#dbName,
+      version: this.#dbVersion,
+      stores: data.map(d => d.def)
+    };
+
+    // newline-delimited JSON
+    if (format === 'ndjson') {
+
+      const line = [ JSON.stringify(header) ];
+
+      for (const { def, keys, values } of data) {
+        for (let i = 0; i < values.length; i++) {
+          line.push( JSON.stringify({ store: def.name, key: await encode(keys[i]), value: await encode(values[i]) }) );
         }
-        else {
-          resolve(true);
+      }
+
+      return line.join('\n') + '\n';
+
+    }
+
+    // JSON
+    header.records = {};
+
+    for (const { def, keys, values } of data) {
+      header.records[ def.name ] = [];
+      for (let i = 0; i < values.length; i++) {
+        header.records[ def.name ].push({ key: await encode(keys[i]), value: await encode(values[i]) });
+      }
+    }
+
+    return JSON.stringify(header);
+
+  }
+
+
+  /**
+   * import schema and records created by export(). Missing stores and indexes are created
+   * @param {string|object} data - JSON or NDJSON string (or a parsed JSON object)
+   * @param {object} param
+   * @param {string} param.mode - merge (the default) overwrites records with the same key, replace clears each store first
+   * @param {number} param.chunk - number of records written per transaction (default 500)
+   * @param {function} param.progress - function passed an object with store, done, and total properties after each chunk is written
+   * @returns {Promise} - resolves with the number of records imported
+   * @example
+   * await db.import(backup, { mode: 'replace', progress: p => console.log(`${ p.done } of ${ p.total }`) });
+   */
+  async import(data, { mode = 'merge', chunk = 500, progress } = {}) {
+
+    // parse JSON or NDJSON
+    if (typeof data === 'string') {
+
+      try {
+        data = JSON.parse(data);
+      }
+      catch {
+
+        try {
+          const line = data.split('\n').filter(l => l.trim()).map(l => JSON.parse(l));
+          data = line.shift();
+          data.records = {};
+          line.forEach(({ store, key, value }) => (data.records[ store ] ??= []).push({ key, value }));
         }
+        catch (e) {
+          throw new PixDBError('Import data is not valid JSON or NDJSON', { operation: 'import', cause: e });
+        }
+
+      }
+
+    }
+
+    const
+      stores = data?.stores || [],
+      records = data?.records || {},
+      replace = mode === 'replace';
+
+    await this.#ready();
+
+    // create or update stores and indexes
+    const change = stores.filter(def => {
+
+      if (!this.#db.objectStoreNames.contains(def.name)) return true;
+
+      const store = this.#tx(def.name, 'readonly').objectStore(def.name);
+
+      return (
+        (replace && (!sameKeyPath(store.keyPath, def.keyPath) || store.autoIncrement !== def.autoIncrement)) ||
+        (def.indexes || []).some(idx => !store.indexNames.contains(idx.name))
+      );
+
+    });
+
+    if (change.length) {
+
+      await this.#upgrade((db, transaction) => {
+
+        change.forEach(def => {
+
+          let store = db.objectStoreNames.contains(def.name) && transaction.objectStore(def.name);
+
+          if (store && (!sameKeyPath(store.keyPath, def.keyPath) || store.autoIncrement !== def.autoIncrement)) {
+            db.deleteObjectStore(def.name);
+            store = null;
+          }
+
+          store ||= db.createObjectStore(def.name, { keyPath: def.keyPath, autoIncrement: def.autoIncrement });
+
+          (def.indexes || []).forEach(({ name, keyPath, unique, multiEntry }) => {
+            if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, { unique, multiEntry });
+          });
+
+        });
+
+      });
+
+    }
+
+    const
+      names = Object.keys(records),
+      total = names.reduce((t, n) => t + records[n].length, 0);
+
+    // clear existing records
+    if (replace) {
+      for (const store of names) await this.clear({ store });
+    }
+
+    // write chunks
+    let done = 0;
+
+    for (const store of names) {
+
+      const rec = records[store];
+
+      for (let i = 0; i < rec.length; i += chunk) {
+
+        let item = rec.slice(i, i + chunk).map(({ key, value }) => ({ key: decode(key), value: decode(value) }));
+
+        // split large binary values
+        const size = this.#packGet(store)?.chunk;
+        if (size) item = await Promise.all( item.map(async ({ key, value }) => ({ key, ...await this.#chunkSplit(store, value, size) })) );
+
+        await this.#writeRaw(store, item);
+        done += item.length;
+        if (progress) progress({ store, done, total });
+
+      }
+
+    }
+
+    return done;
+
+  }
+
+
+  /**
+   * PRIVATE: put or delete records with their keys (used when a store has out-of-line keys or values are encoded)
+   * @private
+   * @param {string} storeName - store to update
+   * @param {array} item - array of { key, value, chunk, revision } objects (chunk is an optional array of { key, data } chunk records and revision is an optional sync revision update). The value of a deleted record is used to find related records
+   * @param {string} [type] - put, update, or delete (change event type)
+   * @param {string} [operation] - method name used in errors
+   * @param {boolean} [sync] - application change: record changes in the sync changelog and delete records related by cascade relations
+   * @return {Promise} - resolves/rejects when all records have been written
+   */
+  #writeRaw(storeName, item, type = 'put', operation = 'import', sync = false) {
+
+    const chunk = item.flatMap(i => i.chunk || []);
+
+    return this.#ready().then(() => chunk.length && this.#chunkStore()).then(() => new Promise((resolve, reject) => {
+
+      const
+        cascade = type === 'delete' && sync ? this.#cascadeStores(storeName) : [],
+        { transaction, store, track } = this.#query(storeName, null, true, null, [ chunk.length ? CHUNK : null, ...cascade ]),
+        inline = store.keyPath !== null,
+        revise = !!this.#syncGet(storeName) && item.some(i => i.revision),
+        keys = [],
+        related = new Map();
+
+      // large binary values
+      if (chunk.length) {
+        const cs = transaction.objectStore(CHUNK);
+        chunk.forEach(({ key, data }) => cs.put(data, key));
+      }
+
+      transaction.oncomplete = () => {
+        delete this.#evictSize[storeName];
+        resolve();
+        if (keys.length) this.#change(storeName, type, keys);
+        related.forEach((k, s) => this.#change(s, 'delete', k));
       };
 
-      request.onerror = () => reject(request.error);
+      this.#txAbort(transaction, reject);
+
+      item.forEach(({ key, value, revision }, i) => {
+
+        if (revise && revision) this.#syncRevise(transaction, storeName, key, revision);
 
+        if (type === 'delete') {
+          store.delete(key);
+          keys[i] = key;
+          if (track) track('delete', key, undefined, !sync);
+          if (cascade.length) {
+            this.#cascade(transaction, storeName, value, key, related).catch(e => {
+              try { transaction.abort(); }
+              catch { /* already aborted */ }
+              reject(e);
+            });
+          }
+          return;
+        }
+
+        const request = inline ? store.put(value) : store.put(value, key);
+        request.onsuccess = () => {
+          keys[i] = request.result;
+          if (track) track('put', request.result, value, !sync);
+        };
+
+      });
+
+      // commit changes (tracked changes, revisions, and related records are written once records are read)
+      if (!track && !revise && !cascade.length) transaction.commit();
+
+    })).catch(e => {
+      throw toError(e, { store: storeName, operation });
     });
 
   }
 
 
+  /**
+   * PRIVATE: return an object store definition
+   * @private
+   * @param {IDBObjectStore} store - object store
+   * @returns {object} - store name, keyPath, autoIncrement, and indexes array (name, keyPath, unique, multiEntry)
+   */
+  static #storeDef(store) {
+
+    return {
+      name: store.name,
+      keyPath: store.keyPath,
+      autoIncrement: store.autoIncrement,
+      indexes: Array.from(store.indexNames).map(name => {
+        const idx = store.index(name);
+        return { name, keyPath: idx.keyPath, unique: idx.unique, multiEntry: idx.multiEntry };
+      })
+    };
+
+  }
+
+
   /**
    * deletes all database stores and data
    * @returns {Promise} - resolves/rejects when database has been deleted
    */
   drop() {
 
-    return new Promise((resolve, reject) => {
-
-      this.close();
-      const request = indexedDB.deleteDatabase( this.#dbName );
+    this.close();
 
-      request.onsuccess = () => {
+    return PixDB.#dbDelete(this.#backend.indexedDB, this.#dbName, detail => this.#emit('blocked', detail))
+      .then(() => {
         this.#dbName = null;
         this.#dbVersion = null;
-        resolve(true);
-      };
-      request.onerror = () => reject(false);
+        return true;
+      })
+      .catch(e => {
+        throw toError(e, { operation: 'drop' });
+      });
+
+  }
+
+
+  /**
+   * PRIVATE: start a transaction on the open connection
+   * @private
+   * @param {string|array} names - object store name or array of names
+   * @param {string} mode - readonly or readwrite
+   * @param {object} [options] - transaction options
+   * @returns {IDBTransaction} - transaction
+   */
+  #tx(names, mode, options) {
+
+    if (!this.#db) throw this.#closedError();
+
+    try {
+      return this.#db.transaction(names, mode, options);
+    }
+    catch (e) {
+      // the connection is closing
+      throw e?.name === 'InvalidStateError' ? this.#closedError(e) : e;
+    }
+
+  }
 
-    });
 
+  /**
+   * PRIVATE: return a connection closed error
+   * @private
+   * @param {*} [cause] - original error
+   * @returns {ConnectionClosedError} - error
+   */
+  #closedError(cause) {
+    return new ConnectionClosedError(`Database ${ this.#dbName } connection is closed`, { cause });
   }
 
 
@@ -454,23 +4835,64 @@ export class PixDB {
    * @param {string} storeName - store to use (required)
    * @param {string} indexName - index to use (optional)
    * @param {boolean} write - true for write access, false for read-only (the default)
+   * @param {IDBTransaction} [tx] - shared transaction (a new transaction is created when not set)
+   * @param {string|array} [extra] - another store or array of stores to include in a new transaction
    * @return {object} ret - transaction and store/index objects
    * @return {IDBTransaction} ret.transaction - transaction object
    * @return {*} ret.store - a IDBObjectStore or IDBIndex object
+   * @return {function|null} ret.track - function passed an op (put or delete), key, value, and local flag which records a change in the sync changelog (unless local is set) and search index. It returns a Promise (null when the store has no sync option or search index)
    */
-  #query(storeName, indexName, write) {
+  #query(storeName, indexName, write, tx, extra) {
+
+    // connection closed by another tab or the browser
+    if (!tx && !this.#db) throw this.#closedError();
+
+    // store does not exist or is outside the shared transaction's scope
+    if (!(tx || this.#db).objectStoreNames.contains(storeName)) {
+      throw tx && this.#db?.objectStoreNames.contains(storeName) ?
+        new NotFoundError(`Store ${ storeName } is not part of the transaction`, { store: storeName }) :
+        new NotFoundError(`Store ${ storeName } not found`, { store: storeName });
+    }
 
     const
-      transaction = this.#db.transaction(
-        storeName,
+      name = [ storeName, ...[].concat(extra) ].filter(Boolean),
+      sync = write && name.some(s => this.#syncGet(s)),
+      search = write && name.some(s => this.#searchGet(s)),
+      scope = [ ...new Set([ ...name, ...(sync ? [ CHANGELOG, REVISION ] : []), ...(search ? [ SEARCH, SEARCHDOC ] : []) ]) ],
+      transaction = tx || this.#tx(
+        scope.length > 1 ? scope : storeName,
         write ? 'readwrite' : 'readonly',
         { durability: write ? 'strict' : 'default'}
       ),
       store = transaction.objectStore(storeName);
 
+    // index does not exist
+    if (indexName && !store.indexNames.contains(indexName)) {
+      throw new NotFoundError(`Index ${ indexName } not found in store ${ storeName }`, { store: storeName, index: indexName });
+    }
+
+    // record changes in the sync changelog (not during upgrades) and search index
+    const
+      logging = write && !!this.#syncGet(storeName) && transaction.mode === 'readwrite' && transaction.objectStoreNames.contains(CHANGELOG),
+      indexing = write && !!this.#searchGet(storeName) && transaction.mode !== 'readonly' && transaction.objectStoreNames.contains(SEARCH),
+      track = logging || indexing ?
+        (op, key, value, local) => {
+
+          const p = Promise.all([
+            logging && !local && this.#syncLog(transaction, storeName, op, key, value),
+            indexing && this.#searchUpdate(transaction, storeName, op, key, value)
+          ]);
+
+          if (!tx) p.catch(() => {}); // failures abort the transaction
+          return p;
+
+        } :
+        null;
+
     return ({
       transaction,
-      store: indexName && !write ? store.index(indexName) : store
+      store: indexName ? store.index(indexName) : store,
+      track
     });
 
   }
@@ -481,17 +4903,72 @@ export class PixDB {
    * @private
    * @param {*} lowerBound - lower boundary key
    * @param {*} upperBound - upper boundary key
+   * @param {boolean} lowerOpen - exclude lower boundary key
+   * @param {boolean} upperOpen - exclude upper boundary key
    * @returns {IDBKeyRange} - key range object
    */
-  #bound(lowerBound, upperBound) {
+  #bound(lowerBound, upperBound, lowerOpen = false, upperOpen = false) {
 
     let bound;
-    if (lowerBound && upperBound) bound = IDBKeyRange.bound(lowerBound, upperBound);
-    else if (lowerBound) bound = IDBKeyRange.lowerBound(lowerBound);
-    else if (upperBound) bound = IDBKeyRange.upperBound(upperBound);
+
+    const
+      lower = lowerBound !== undefined && lowerBound !== null,
+      upper = upperBound !== undefined && upperBound !== null;
+
+    try {
+      if (lower && upper) bound = this.#backend.IDBKeyRange.bound(lowerBound, upperBound, lowerOpen, upperOpen);
+      else if (lower) bound = this.#backend.IDBKeyRange.lowerBound(lowerBound, lowerOpen);
+      else if (upper) bound = this.#backend.IDBKeyRange.upperBound(upperBound, upperOpen);
+    }
+    catch (e) {
+      // e.g. false, an object, or a lower bound above the upper bound
+      throw toError(e, {}, `Invalid key range: boundaries must be valid keys (number, string, Date, binary, or array) with lowerBound <= upperBound (${ e?.message })`);
+    }
 
     return bound;
 
   }
 
+
+  /**
+   * PRIVATE: return a key range from a range object or inclusive boundary keys
+   * @private
+   * @param {IDBKeyRange|object} range - IDBKeyRange or { gt, gte, lt, lte, eq, prefix } object (used instead of lowerBound and upperBound when set)
+   * @param {*} lowerBound - lower boundary key
+   * @param {*} upperBound - upper boundary key
+   * @returns {IDBKeyRange} - key range object or undefined for all keys
+   */
+  #keyRange(range, lowerBound, upperBound) {
+
+    if (range === undefined || range === null) return this.#bound(lowerBound, upperBound);
+
+    if (typeof range !== 'object') throw new PixDBError('A range must be an IDBKeyRange or an object with gt, gte, lt, lte, eq, or prefix properties');
+
+    // key range: rebuild when created by another backend
+    if (range instanceof this.#backend.IDBKeyRange) return range;
+    if ('lowerOpen' in range) return this.#bound(range.lower, range.upper, range.lowerOpen, range.upperOpen);
+
+    const { gt, gte, lt, lte, eq, prefix } = range;
+
+    if (eq !== undefined) return this.#bound(eq, eq);
+
+    // strings starting with prefix or compound keys starting with the prefix array values
+    if (prefix !== undefined) {
+      if (typeof prefix === 'string') return this.#bound(prefix, prefix + '\uffff');
+      if (Array.isArray(prefix)) return this.#bound(prefix, [ ...prefix, [] ]);
+      throw new PixDBError('A range prefix must be a string or an array');
+    }
+
+    if (gt !== undefined && gte !== undefined) throw new PixDBError('A range cannot set both gt and gte');
+    if (lt !== undefined && lte !== undefined) throw new PixDBError('A range cannot set both lt and lte');
+
+    return this.#bound(
+      gt !== undefined ? gt : gte,
+      lt !== undefined ? lt : lte,
+      gt !== undefined,
+      lt !== undefined
+    );
+
+  }
+
 }
@@ -0,0 +1,474 @@
+import { sameKeyPath, valueAt } from './util.js';
+import { toError } from './errors.js';
+
+/**
+ * Chainable query builder returned by PixDB.query()
+ * @class
+ */
+export class PixQuery {
+
+  #storeName = null;
+  #db = null;
+  #field = null;
+  #range = null;
+  #filter = [];
+  #direction = 'next';
+  #unique = false;
+  #offset = 0;
+  #limit = Infinity;
+  #after = null;
+
+  /**
+   * initialize query
+   * @param {string} storeName - object store name
+   * @param {object} db - PixDB helper functions
+   * @param {function} db.store - returns a Promise which resolves with an IDBObjectStore in a new readonly transaction
+   * @param {function} db.bound - returns an IDBKeyRange (passed lowerBound, upperBound, lowerOpen, upperOpen)
+   * @param {function} db.cmp - compares two keys
+   * @param {function} [db.read] - returns an async function which decodes an array of stored values (or null when a store is not encrypted, compressed, or chunked)
+   */
+  constructor(storeName, db) {
+    this.#storeName = storeName;
+    this.#db = db;
+  }
+
+
+  /**
+   * set the key path or index name to query and sort by.
+   * A matching index or the primary key is used when available, otherwise records are filtered and sorted in memory
+   * @param {string|array} field - key path, compound key path array, or index name
+   * @returns {PixQuery} - this query
+   * @example
+   * const rec = await db.query('state').where('expire').toArray();
+   */
+  where(field) {
+    this.#field = field;
+    return this;
+  }
+
+
+  /**
+   * match a single key value
+   * @param {*} value - key value
+   * @returns {PixQuery} - this query
+   */
+  equals(value) {
+    return this.between(value, value);
+  }
+
+
+  /**
+   * match keys in a range
+   * @param {*} lower - lower key value
+   * @param {*} upper - upper key value
+   * @param {boolean} lowerOpen - exclude lower key value
+   * @param {boolean} upperOpen - exclude upper key value
+   * @returns {PixQuery} - this query
+   */
+  between(lower, upper, lowerOpen = false, upperOpen = false) {
+    this.#range = { lower, upper, lowerOpen, upperOpen };
+    return this;
+  }
+
+
+  /**
+   * match keys greater than a value
+   * @param {*} value - key value
+   * @returns {PixQuery} - this query
+   */
+  above(value) {
+    return this.between(value, undefined, true);
+  }
+
+
+  /**
+   * match keys greater than or equal to a value
+   * @param {*} value - key value
+   * @returns {PixQuery} - this query
+   */
+  aboveOrEqual(value) {
+    return this.between(value, undefined);
+  }
+
+
+  /**
+   * match keys less than a value
+   * @param {*} value - key value
+   * @returns {PixQuery} - this query
+   */
+  below(value) {
+    return this.between(undefined, value, false, true);
+  }
+
+
+  /**
+   * match keys less than or equal to a value
+   * @param {*} value - key value
+   * @returns {PixQuery} - this query
+   */
+  belowOrEqual(value) {
+    return this.between(undefined, value);
+  }
+
+
+  /**
+   * match string keys starting with a prefix
+   * @param {string} prefix - string prefix
+   * @returns {PixQuery} - this query
+   */
+  startsWith(prefix) {
+    return this.between(prefix, prefix + '\uffff');
+  }
+
+
+  /**
+   * only return records where a function returns a truthy value
+   * @param {function} fn - filter function passed the record and its primary key
+   * @returns {PixQuery} - this query
+   */
+  filter(fn) {
+    this.#filter.push(fn);
+    return this;
+  }
+
+
+  /**
+   * return records in descending key order
+   * @returns {PixQuery} - this query
+   */
+  reverse() {
+    this.#direction = this.#direction === 'next' ? 'prev' : 'next';
+    return this;
+  }
+
+
+  /**
+   * only return the first record for each key, e.g. one record per index value
+   * @returns {PixQuery} - this query
+   */
+  unique() {
+    this.#unique = true;
+    return this;
+  }
+
+
+  /**
+   * skip a number of matching records
+   * @param {number} n - records to skip
+   * @returns {PixQuery} - this query
+   */
+  offset(n) {
+    this.#offset = Math.max(0, parseInt(n, 10) || 0);
+    return this;
+  }
+
+
+  /**
+   * set the maximum number of records to return
+   * @param {number} n - maximum records
+   * @returns {PixQuery} - this query
+   */
+  limit(n) {
+    this.#limit = Math.max(0, parseInt(n, 10) || 0);
+    return this;
+  }
+
+
+  /**
+   * start after a pagination token returned by page()
+   * @param {object} token - pagination token
+   * @returns {PixQuery} - this query
+   */
+  after(token) {
+    this.#after = token || null;
+    return this;
+  }
+
+
+  /**
+   * fetch matching records
+   * @returns {Promise} - resolves/rejects with an array of records
+   * @example
+   * const rec = await db.query('state').where('expire').between(a, b).reverse().limit(10).toArray();
+   */
+  async toArray() {
+    return (await this.#run('value')).map(r => r.value);
+  }
+
+
+  /**
+   * fetch primary keys of matching records
+   * @returns {Promise} - resolves/rejects with an array of primary keys
+   */
+  async keys() {
+    return (await this.#run('key')).map(r => r.primaryKey);
+  }
+
+
+  /**
+   * count matching records
+   * @returns {Promise} - resolves/rejects with the number of records
+   */
+  async count() {
+    return this.#run('count');
+  }
+
+
+  /**
+   * fetch the first matching record
+   * @returns {Promise} - resolves/rejects with a record or undefined
+   */
+  async first() {
+    return (await this.#run('value', 1))[0]?.value;
+  }
+
+
+  /**
+   * fetch a page of matching records and a token to fetch the next page
+   * @returns {Promise} - resolves/rejects with an object containing an items array and a next token (null when there are no more records)
+   * @example
+   * const page1 = await db.query('state').limit(10).page();
+   * const page2 = await db.query('state').limit(10).after(page1.next).page();
+   */
+  async page() {
+
+    const
+      rec = await this.#run('value'),
+      last = rec.at(-1);
+
+    return {
+      items: rec.map(r => r.value),
+      next: last && rec.length >= this.#limit ? { key: last.key, primaryKey: last.primaryKey } : null
+    };
+
+  }
+
+
+  /**
+   * PRIVATE: run query
+   * @private
+   * @param {string} mode - value, key, or count
+   * @param {number} limit - maximum records (overrides limit())
+   * @returns {Promise} - resolves/rejects with an array of { key, primaryKey, value } objects or a count
+   */
+  #run(mode, limit = this.#limit) {
+
+    return this.#db.store( this.#storeName ).then(store => new Promise((resolve, reject) => {
+
+      const
+        { source, keyPath } = this.#source(store),
+        isIndex = source !== store,
+        range = this.#range && this.#db.bound(this.#range.lower, this.#range.upper, this.#range.lowerOpen, this.#range.upperOpen),
+        check = [ ...this.#filter ],
+        dir = this.#direction === 'prev' ? -1 : 1,
+        unique = this.#unique,
+        read = this.#db.read?.(this.#storeName),
+        result = [];
+
+      // unindexed field: filter on record value
+      if (keyPath) {
+        check.unshift(value => {
+          const v = valueAt(value, keyPath);
+          try { return v !== undefined && (!range || range.includes(v)); }
+          catch { return false; }
+        });
+      }
+
+      // count all records
+      if (mode === 'count' && !check.length && !this.#offset && !this.#after && limit === Infinity) {
+        const request = source.count( keyPath ? undefined : range );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject( toError(request.error) );
+        return;
+      }
+
+      if (!limit) {
+        resolve(mode === 'count' ? 0 : []);
+        return;
+      }
+
+      // unindexed field or encoded store: filter, sort, and decode records once the cursor completes
+      const late = !!keyPath || (!!read && check.length > 0);
+
+      // resolve with results
+      const done = () => {
+        if (late || read) this.#read(result, read, late && check, mode, limit, keyPath).then(resolve, reject);
+        else resolve(mode === 'count' ? result.length : result);
+      };
+
+      let
+        token = this.#after,
+        skip = this.#offset;
+
+      const request = source[ mode === 'value' || check.length ? 'openCursor' : 'openKeyCursor' ](
+        keyPath ? undefined : range,
+        keyPath ? 'next' : this.#direction + (unique ? 'unique' : '')
+      );
+
+      request.onsuccess = () => {
+
+        const cursor = request.result;
+
+        if (!cursor) {
+          done();
+          return;
+        }
+
+        // move past pagination token (unindexed fields are sorted later)
+        if (token && !keyPath) {
+
+          const
+            kc = this.#db.cmp(cursor.key, token.key) * dir,
+            pc = unique ? kc : this.#db.cmp(cursor.primaryKey, token.primaryKey) * dir;
+
+          if (kc < 0 || (kc === 0 && pc < 0)) {
+            if (isIndex && !unique) cursor.continuePrimaryKey(token.key, token.primaryKey);
+            else cursor.continue(token.key);
+            return;
+          }
+
+          if (kc === 0 && pc === 0) {
+            cursor.continue();
+            return;
+          }
+
+          token = null;
+
+        }
+
+        // collect all encoded records
+        if (late) {
+          result.push({ key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value });
+          cursor.continue();
+          return;
+        }
+
+        // jump past offset records
+        if (skip && !check.length) {
+          cursor.advance(skip);
+          skip = 0;
+          return;
+        }
+
+        let match;
+        try {
+          match = check.every(fn => fn(cursor.value, cursor.primaryKey));
+        }
+        catch (e) {
+          // filter function failed
+          reject(e);
+          return;
+        }
+
+        if (match) {
+
+          if (skip) skip--;
+          else {
+
+            result.push({ key: cursor.key, primaryKey: cursor.primaryKey, value: mode === 'value' ? cursor.value : undefined });
+
+            if (result.length >= limit) {
+              done();
+              return;
+            }
+
+          }
+
+        }
+
+        cursor.continue();
+
+      };
+
+      request.onerror = () => reject( toError(request.error) );
+
+    })).catch(e => {
+      throw toError(e, { store: this.#storeName, operation: 'query' });
+    });
+
+  }
+
+
+  /**
+   * PRIVATE: decode, filter, and sort query results
+   * @private
+   * @param {array} result - array of { key, primaryKey, value } objects
+   * @param {function} [read] - async function which decodes an array of stored values
+   * @param {array|false} check - filter functions to apply to decoded values (offset and limit are then applied)
+   * @param {string} mode - value, key, or count
+   * @param {number} limit - maximum records
+   * @param {string|array} [keyPath] - unindexed key path to sort by
+   * @returns {Promise} - resolves with an array of { key, primaryKey, value } objects or a count
+   */
+  async #read(result, read, check, mode, limit, keyPath) {
+
+    if (read && (mode === 'value' || check)) {
+      const value = await read( result.map(r => r.value) );
+      result.forEach((r, i) => r.value = value[i]);
+    }
+
+    if (check) {
+      result = result.filter(r => check.every(fn => fn(r.value, r.primaryKey)));
+    }
+
+    // sort by unindexed field value then primary key
+    if (keyPath) {
+
+      const
+        cmp = this.#db.cmp,
+        dir = this.#direction === 'prev' ? -1 : 1,
+        token = this.#after;
+
+      result.forEach(r => r.key = valueAt(r.value, keyPath));
+      result.sort((a, b) => cmp(a.key, b.key) || cmp(a.primaryKey, b.primaryKey));
+      if (this.#unique) result = result.filter((r, i) => !i || cmp(r.key, result[i - 1].key));
+      if (dir < 0) result.reverse();
+
+      // start after pagination token
+      if (token) {
+        const pos = result.findIndex(r => (cmp(r.key, token.key) || (this.#unique ? 0 : cmp(r.primaryKey, token.primaryKey))) * dir > 0);
+        result = pos < 0 ? [] : result.slice(pos);
+      }
+
+      if (mode !== 'value') result.forEach(r => r.value = undefined);
+
+    }
+
+    if (check) {
+      result = result.slice(this.#offset, this.#offset + limit);
+    }
+
+    return mode === 'count' ? result.length : result;
+
+  }
+
+
+  /**
+   * PRIVATE: choose store or index to query
+   * @private
+   * @param {IDBObjectStore} store - object store
+   * @returns {object} ret - source object
+   * @return {IDBObjectStore|IDBIndex} ret.source - store or index to open a cursor on
+   * @return {string|array} ret.keyPath - unindexed key path to filter on
+   */
+  #source(store) {
+
+    const field = this.#field;
+
+    if (field === null || sameKeyPath(store.keyPath, field)) return { source: store };
+
+    // index by name or key path
+    const indexNames = Array.from(store.indexNames);
+
+    if (typeof field === 'string' && indexNames.includes(field)) return { source: store.index(field) };
+
+    const idx = indexNames.find(n => sameKeyPath(store.index(n).keyPath, field));
+    if (idx) return { source: store.index(idx) };
+
+    // no index
+    return { source: store, keyPath: field };
+
+  }
+
+}
+
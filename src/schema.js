@@ -0,0 +1,152 @@
+import { sameKeyPath, request, isInternal } from './util.js';
+import { PixDBError } from './errors.js';
+
+/**
+ * apply a declarative schema during a database upgrade.
+ * Stores and indexes not defined in the schema are deleted (except internal PixDB stores), missing ones are created,
+ * and a store with a changed keyPath or autoIncrement is recreated with its records copied.
+ * Records without a valid key for the new keyPath are not copied: they are returned so data migrations can reshape them.
+ * @param {IDBDatabase} db - database being upgraded
+ * @param {IDBTransaction} transaction - versionchange transaction
+ * @param {object} schema - schema definition
+ * @param {object} schema.stores - object of store definitions keyed by store name
+ * @returns {Promise} - resolves/rejects with an object of uncopied record arrays keyed by store name when the database structure matches the schema
+ * @example
+ * await schemaApply(db, transaction, {
+ *   stores: {
+ *     state: {
+ *       keyPath: 'name',
+ *       indexes: {
+ *         updateIdx: 'update',
+ *         tagIdx: { keyPath: 'tag', unique: false, multiEntry: true }
+ *       }
+ *     }
+ *   }
+ * });
+ */
+export async function schemaApply(db, transaction, { stores = {} } = {}) {
+
+  const uncopied = {};
+
+  // delete stores not in schema
+  Array.from(db.objectStoreNames).forEach(name => {
+    if (!(name in stores) && !isInternal(name)) db.deleteObjectStore(name);
+  });
+
+  for (const [ name, def = {} ] of Object.entries(stores)) {
+
+    const
+      keyPath = def.keyPath ?? null,
+      autoIncrement = !!def.autoIncrement;
+
+    let store, records, keys;
+
+    // existing store
+    if (db.objectStoreNames.contains(name)) {
+
+      store = transaction.objectStore(name);
+
+      // key has changed: copy records and recreate store
+      if (!sameKeyPath(store.keyPath, keyPath) || store.autoIncrement !== autoIncrement) {
+        records = await request( store.getAll() );
+        keys = await request( store.getAllKeys() );
+        db.deleteObjectStore(name);
+        store = null;
+      }
+
+    }
+
+    // create store
+    if (!store) {
+      store = db.createObjectStore(name, { keyPath, autoIncrement });
+    }
+
+    // update indexes
+    const indexes = indexDefs(def.indexes);
+
+    Array.from(store.indexNames).forEach(idxName => {
+
+      const
+        idx = store.index(idxName),
+        idxDef = indexes[idxName];
+
+      if (
+        !idxDef ||
+        !sameKeyPath(idx.keyPath, idxDef.keyPath) ||
+        idx.unique !== idxDef.unique ||
+        idx.multiEntry !== idxDef.multiEntry
+      ) {
+        store.deleteIndex(idxName);
+      }
+
+    });
+
+    Object.entries(indexes).forEach(([ idxName, { keyPath, unique, multiEntry } ]) => {
+      if (!store.indexNames.contains(idxName)) store.createIndex(idxName, keyPath, { unique, multiEntry });
+    });
+
+    // restore copied records
+    if (records) {
+      records.forEach((r, i) => {
+
+        try {
+          if (keyPath === null) store.put(r, keys[i]);
+          else store.put(r);
+        }
+        catch (e) {
+          // no valid key for the new keyPath
+          if (e?.name !== 'DataError') throw e;
+          (uncopied[name] ??= []).push(r);
+        }
+
+      });
+    }
+
+  }
+
+  return uncopied;
+
+}
+
+
+/**
+ * reject records which could not be copied when there is no data migration to reshape them
+ * @param {object} uncopied - object of uncopied record arrays keyed by store name (returned by schemaApply)
+ * @throws {PixDBError} - records of a store could not be copied
+ */
+export function schemaUncopied(uncopied) {
+
+  const [ name, records ] = Object.entries(uncopied)[0] || [];
+  if (!name) return;
+
+  throw new PixDBError(`Store ${ name } has ${ records.length } records without a valid key for its new keyPath: reshape them in a migrate function`, { store: name, operation: 'open' });
+
+}
+
+
+/**
+ * PRIVATE: normalize index definitions
+ * @private
+ * @param {object} indexes - object of index keyPath strings/arrays or { keyPath, unique, multiEntry } objects
+ * @returns {object} - normalized index definitions
+ */
+function indexDefs(indexes = {}) {
+
+  const def = {};
+
+  Object.entries(indexes).forEach(([ name, idx ]) => {
+
+    if (typeof idx === 'string' || Array.isArray(idx)) idx = { keyPath: idx };
+
+    def[name] = {
+      keyPath: idx.keyPath ?? name,
+      unique: !!idx.unique,
+      multiEntry: !!idx.multiEntry
+    };
+
+  });
+
+  return def;
+
+}
+
@@ -0,0 +1,76 @@
+import { valueAt } from './util.js';
+
+/**
+ * default search tokenizer: lowercase words and numbers with accents removed
+ * @param {string} text - text
+ * @returns {array} - array of tokens
+ */
+export function tokenize(text) {
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+}
+
+
+/**
+ * count the tokens in the searchable fields of a record
+ * @param {object} record - record
+ * @param {array} fields - key paths of string or string array fields
+ * @param {function} tokenizer - function passed a string which returns an array of tokens
+ * @returns {Map} - number of occurrences keyed by token
+ */
+export function tokenCount(record, fields, tokenizer) {
+
+  const count = new Map();
+
+  fields.forEach(field => {
+
+    [].concat( valueAt(record, field) ?? [] ).forEach(text => {
+
+      if (text === null || typeof text === 'object') return;
+
+      tokenizer(String(text)).forEach(t => {
+        if (typeof t === 'string' && t) count.set(t, (count.get(t) || 0) + 1);
+      });
+
+    });
+
+  });
+
+  return count;
+
+}
+
+
+/**
+ * parse a search query into terms.
+ * A term ending with * matches tokens starting with that term
+ * @param {string} query - search query
+ * @param {function} tokenizer - function passed a string which returns an array of tokens
+ * @param {boolean} prefix - every term matches tokens starting with that term
+ * @returns {array} - array of unique { token, prefix } objects
+ */
+export function queryTerms(query, tokenizer, prefix) {
+
+  const term = new Map();
+
+  String(query ?? '').split(/\s+/).forEach(word => {
+
+    const
+      star = word.endsWith('*'),
+      token = tokenizer(star ? word.slice(0, -1) : word).filter(t => typeof t === 'string' && t);
+
+    token.forEach((t, i) => {
+      const p = prefix || (star && i === token.length - 1);
+      term.set(`${ p ? '*' : '' }${ t }`, { token: t, prefix: p });
+    });
+
+  });
+
+  return [ ...term.values() ];
+
+}
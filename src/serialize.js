@@ -0,0 +1,206 @@
+// typed array and DataView constructors
+const binaryType = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray',
+  'Int16Array', 'Uint16Array', 'Int32Array', 'Uint32Array',
+  'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'DataView'
+];
+
+
+/**
+ * encode a value to a JSON-safe structure.
+ * Date, RegExp, BigInt, Map, Set, ArrayBuffer, typed arrays, Blob, File, undefined, NaN, and Infinity values
+ * are converted to { $type, value } objects which decode() restores
+ * @param {*} value - value to encode
+ * @returns {Promise} - resolves with the encoded value
+ * @example
+ * const json = JSON.stringify( await encode({ date: new Date(), set: new Set([1, 2]) }) );
+ */
+export async function encode(value) {
+
+  switch (typeof value) {
+
+    case 'undefined':
+      return { $type: 'undefined' };
+
+    case 'bigint':
+      return { $type: 'BigInt', value: value.toString() };
+
+    case 'number':
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { $type: 'Number', value: Object.is(value, -0) ? '-0' : String(value) };
+
+    case 'object':
+      break;
+
+    default:
+      return value;
+
+  }
+
+  if (value === null) return null;
+
+  if (Array.isArray(value)) return Promise.all( value.map(encode) );
+
+  if (value instanceof Date) {
+    const t = value.getTime();
+    return { $type: 'Date', value: isNaN(t) ? null : t };
+  }
+
+  if (value instanceof RegExp) return { $type: 'RegExp', value: value.source, flags: value.flags };
+
+  if (value instanceof Map) return { $type: 'Map', value: await encode( Array.from(value) ) };
+
+  if (value instanceof Set) return { $type: 'Set', value: await encode( Array.from(value) ) };
+
+  if (value instanceof ArrayBuffer) return { $type: 'ArrayBuffer', value: toBase64(value) };
+
+  if (ArrayBuffer.isView(value)) {
+    return {
+      $type: value.constructor.name,
+      value: toBase64( value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength) )
+    };
+  }
+
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+
+    const enc = { $type: 'Blob', type: value.type, value: toBase64( await value.arrayBuffer() ) };
+
+    if (typeof File !== 'undefined' && value instanceof File) {
+      enc.$type = 'File';
+      enc.name = value.name;
+      enc.lastModified = value.lastModified;
+    }
+
+    return enc;
+
+  }
+
+  // plain object
+  const obj = {};
+  for (const [ k, v ] of Object.entries(value)) {
+    obj[k] = await encode(v);
+  }
+
+  // escape objects with a $type property
+  return '$type' in obj ? { $type: 'Object', value: obj } : obj;
+
+}
+
+
+/**
+ * decode a structure created by encode()
+ * @param {*} value - encoded value
+ * @returns {*} - decoded value
+ * @example
+ * const data = decode( JSON.parse(json) );
+ */
+export function decode(value) {
+
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) return value.map(decode);
+
+  switch (value.$type) {
+
+    case undefined:
+      break;
+
+    case 'undefined':
+      return undefined;
+
+    case 'BigInt':
+      return BigInt(value.value);
+
+    case 'Number':
+      return value.value === '-0' ? -0 : Number(value.value);
+
+    case 'Date':
+      return new Date(value.value ?? NaN);
+
+    case 'RegExp':
+      return new RegExp(value.value, value.flags);
+
+    case 'Map':
+      return new Map( decode(value.value) );
+
+    case 'Set':
+      return new Set( decode(value.value) );
+
+    case 'ArrayBuffer':
+      return fromBase64(value.value).buffer;
+
+    case 'Blob':
+      return new Blob([ fromBase64(value.value) ], { type: value.type });
+
+    case 'File':
+      return new File([ fromBase64(value.value) ], value.name, { type: value.type, lastModified: value.lastModified });
+
+    case 'Object':
+      return decodeObject(value.value);
+
+    default:
+      if (binaryType.includes(value.$type)) return new globalThis[ value.$type ]( fromBase64(value.value).buffer );
+
+  }
+
+  return decodeObject(value);
+
+}
+
+
+/**
+ * PRIVATE: decode object properties
+ * @private
+ * @param {object} value - encoded object
+ * @returns {object} - decoded object
+ */
+function decodeObject(value) {
+
+  const obj = {};
+  for (const [ k, v ] of Object.entries(value)) {
+    obj[k] = decode(v);
+  }
+  return obj;
+
+}
+
+
+/**
+ * PRIVATE: convert ArrayBuffer to base64 string
+ * @private
+ * @param {ArrayBuffer} buffer - binary data
+ * @returns {string} - base64 string
+ */
+function toBase64(buffer) {
+
+  const
+    bytes = new Uint8Array(buffer),
+    chunk = 0x8000;
+
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += chunk) {
+    bin += String.fromCharCode( ...bytes.subarray(i, i + chunk) );
+  }
+
+  return btoa(bin);
+
+}
+
+
+/**
+ * PRIVATE: convert base64 string to bytes
+ * @private
+ * @param {string} str - base64 string
+ * @returns {Uint8Array} - binary data
+ */
+function fromBase64(str) {
+
+  const
+    bin = atob(str),
+    bytes = new Uint8Array(bin.length);
+
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+
+}
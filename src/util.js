@@ -0,0 +1,117 @@
+// internal store name prefix
+export const INTERNAL = '__pix';
+
+// meta data store: records the application database version after internal upgrades
+export const META = `${ INTERNAL }db`;
+
+// companion store: chunks of large binary values
+export const CHUNK = `${ INTERNAL }chunk`;
+
+// sync stores: changes waiting to be pushed and record revisions
+export const CHANGELOG = `${ INTERNAL }changelog`;
+export const REVISION = `${ INTERNAL }revision`;
+
+// search stores: inverted index of tokens and the tokens of each record
+export const SEARCH = `${ INTERNAL }search`;
+export const SEARCHDOC = `${ INTERNAL }searchdoc`;
+
+
+/**
+ * is a store used internally by PixDB?
+ * @param {string} name - store name
+ * @returns {boolean} - internal store
+ */
+export function isInternal(name) {
+  return String(name).startsWith(INTERNAL);
+}
+
+
+/**
+ * are two keyPaths identical?
+ * @param {string|array|null} kp1 - first keyPath
+ * @param {string|array|null} kp2 - second keyPath
+ * @returns {boolean} - keyPaths match
+ */
+export function sameKeyPath(kp1, kp2) {
+  return JSON.stringify(kp1 ?? null) === JSON.stringify(kp2 ?? null);
+}
+
+
+/**
+ * get a record value at a key path
+ * @param {object} value - record
+ * @param {string|array} keyPath - key path or array of key paths
+ * @returns {*} - value (undefined when not set)
+ */
+export function valueAt(value, keyPath) {
+
+  if (Array.isArray(keyPath)) {
+    const v = keyPath.map(kp => valueAt(value, kp));
+    return v.includes(undefined) ? undefined : v;
+  }
+
+  return String(keyPath).split('.').reduce((v, p) => (v === null || v === undefined) ? undefined : v[p], value);
+
+}
+
+
+/**
+ * set a record value at a key path
+ * @param {object} value - record to update
+ * @param {string} keyPath - dot-notation key path
+ * @param {*} v - value to set
+ */
+export function valueSet(value, keyPath, v) {
+
+  const part = String(keyPath).split('.');
+
+  part.slice(0, -1).forEach(p => {
+    if (value[p] === null || typeof value[p] !== 'object') value[p] = {};
+    value = value[p];
+  });
+
+  value[ part.at(-1) ] = v;
+
+}
+
+
+/**
+ * resolve IDBRequest result
+ * @param {IDBRequest} req - request
+ * @returns {Promise} - resolves/rejects when request completes
+ */
+export function request(req) {
+
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+}
+
+
+/**
+ * estimate the memory used by a value
+ * @param {*} value - value
+ * @returns {number} - size in bytes
+ */
+export function sizeOf(value) {
+
+  switch (typeof value) {
+    case 'string': return value.length * 2;
+    case 'number': return 8;
+    case 'bigint': return 8;
+    case 'boolean': return 4;
+    case 'object': break;
+    default: return 0;
+  }
+
+  if (!value) return 0;
+  if (value instanceof Date) return 8;
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+  if (value instanceof Map || value instanceof Set) return [ ...value ].reduce((t, v) => t + sizeOf(v), 0);
+
+  return Object.entries(value).reduce((t, [ k, v ]) => t + k.length * 2 + sizeOf(v), 0);
+
+}
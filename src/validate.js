@@ -0,0 +1,170 @@
+/**
+ * validate a record with a function or a JSON Schema subset.
+ * A function is passed the record and returns true (or undefined) when it is valid,
+ * otherwise false, a message string, or an array of message strings and { field, message } objects.
+ * A schema object supports type, enum, required, properties, additionalProperties, items,
+ * minimum, maximum, minLength, maxLength, minItems, maxItems, and pattern
+ * @param {function|object} validator - validation function or schema
+ * @param {*} record - record to validate
+ * @returns {array} - array of { field, message } objects (empty when the record is valid)
+ */
+export function validateRecord(validator, record) {
+
+  if (typeof validator !== 'function') {
+    const error = [];
+    check(validator, record, '', error);
+    return error;
+  }
+
+  let res;
+
+  try {
+    res = validator(record);
+  }
+  catch (e) {
+    res = e?.message || String(e);
+  }
+
+  if (res === true || res === undefined || res === null) return [];
+  if (res === false) return [ { field: null, message: 'is not valid' } ];
+
+  return [].concat(res).map(r => typeof r === 'string' ?
+    { field: null, message: r } :
+    { field: r?.field ?? null, message: r?.message || 'is not valid' }
+  );
+
+}
+
+
+/**
+ * PRIVATE: check a value against a schema
+ * @private
+ * @param {object} schema - schema object
+ * @param {*} value - value to check
+ * @param {string} path - dot-notation path to the value
+ * @param {array} error - { field, message } objects are appended to this array
+ */
+function check(schema, value, path, error) {
+
+  if (!schema || typeof schema !== 'object') return;
+
+  const fail = message => error.push({ field: path || null, message });
+
+  // type
+  if (schema.type) {
+
+    const type = [].concat(schema.type);
+
+    if (!type.some(t => typeIs(t, value))) {
+      fail(`must be ${ type.map(t => `${ /^[aeiou]/.test(t) ? 'an' : 'a' } ${ t }`).join(' or ') }`);
+      return;
+    }
+
+  }
+
+  // enumerated values
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => same(e, value))) {
+    fail(`must be one of ${ schema.enum.map(e => JSON.stringify(e)).join(', ') }`);
+  }
+
+  // numbers and dates
+  if (typeof value === 'number' || value instanceof Date) {
+    if (schema.minimum !== undefined && +value < +schema.minimum) fail(`must be at least ${ show(schema.minimum) }`);
+    if (schema.maximum !== undefined && +value > +schema.maximum) fail(`must be at most ${ show(schema.maximum) }`);
+  }
+
+  // strings
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must have at least ${ schema.minLength } characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must have at most ${ schema.maxLength } characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(`must match ${ schema.pattern }`);
+  }
+
+  // arrays
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${ schema.minItems } items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${ schema.maxItems } items`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, join(path, i), error));
+    return;
+  }
+
+  // objects
+  if (!value || typeof value !== 'object' || value instanceof Date) return;
+
+  (schema.required || []).forEach(name => {
+    if (value[name] === undefined) error.push({ field: join(path, name), message: 'is required' });
+  });
+
+  const prop = schema.properties || {};
+
+  Object.entries(prop).forEach(([ name, s ]) => {
+    if (value[name] !== undefined) check(s, value[name], join(path, name), error);
+  });
+
+  if (schema.additionalProperties === false) {
+    Object.keys(value).forEach(name => {
+      if (!(name in prop)) error.push({ field: join(path, name), message: 'is not permitted' });
+    });
+  }
+
+}
+
+
+/**
+ * PRIVATE: does a value have a schema type?
+ * @private
+ * @param {string} type - string, number, integer, boolean, object, array, null, or date
+ * @param {*} value - value
+ * @returns {boolean} - value matches type
+ */
+function typeIs(type, value) {
+
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    case 'date': return value instanceof Date && !isNaN(value);
+    case 'object': return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+
+  return true;
+
+}
+
+
+/**
+ * PRIVATE: are two enum values the same?
+ * @private
+ * @param {*} a - first value
+ * @param {*} b - second value
+ * @returns {boolean} - values match
+ */
+function same(a, b) {
+  return a === b || (a instanceof Date && b instanceof Date && +a === +b);
+}
+
+
+/**
+ * PRIVATE: format a minimum or maximum value
+ * @private
+ * @param {number|Date} v - value
+ * @returns {string} - string
+ */
+function show(v) {
+  return v instanceof Date ? v.toISOString() : String(v);
+}
+
+
+/**
+ * PRIVATE: append a property to a path
+ * @private
+ * @param {string} path - dot-notation path
+ * @param {string|number} name - property name or array index
+ * @returns {string} - new path
+ */
+function join(path, name) {
+  return path ? `${ path }.${ name }` : String(name);
+}
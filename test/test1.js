@@ -1,5 +1,5 @@
 // PixDB testing
-import { PixDB } from '../dist/pixdb.js';
+import { PixDB, ConstraintError, NotFoundError, TransactionAbortedError, ValidationError } from '../dist/pixdb.js';
 
 log('initializing database');
 
@@ -181,6 +181,569 @@ await db.getCursor({ store, index: 'expireIdx', callback: cursor => {
   lastName = r.name;
 } });
 
+// ----------------
+// query records by expiry
+log('\nquery of second and third records ordered by descending expiry:');
+rec = await db.query(store).where('expire').reverse().offset(1).limit(2).toArray();
+rec.forEach( (r, i) => log(`[${ i }]:`, r.name, '=', r.value) );
+console.assert(rec.length === 2 && rec[0].name === 'b' && rec[1].name === 'c', `'${ store }' query did not return records b and c`);
+
+// ----------------
+// paginate records
+rec = await db.query(store).limit(5).page();
+rec = await db.query(store).limit(5).after(rec.next).page();
+log(`second page of '${ store }' records:`, rec.items.map(r => r.name));
+console.assert(rec.items.length === 2 && !rec.next, `'${ store }' second page did not return 2 records`);
+
+// ----------------
+// async iterator with early exit
+log('\nasync iteration of first three records:');
+count = 0;
+for await (const r of db.iterate({ store, batch: 2 })) {
+  log(`[${ count }]:`, r.name, '=', r.value);
+  count++;
+  if (count === 3) break;
+}
+console.assert(count === 3, `'${ store }' iteration did not stop after 3 records`);
+
+// ----------------
+// update records by index
+rec = await db.updateWhere({ store, index: 'expireIdx', upperBound, update: r => { r.expiring = true; } });
+log(`\nrecords updated before ${ upperBound }: ${ rec }`);
+console.assert(rec === exp, `'${ store }' updateWhere did not update ${ exp } records`);
+
+count = await db.query(store).filter(r => r.expiring).count();
+console.assert(count === exp, `'${ store }' does not have ${ exp } expiring records`);
+
+// ----------------
+// change event
+const changes = [];
+const onChange = change => changes.push(change);
+db.on('change', onChange);
+await db.put({ store, item: { name: 'h', value: 8, update, expire: addDay(9, update) } });
+await db.delete({ store, key: 'h' });
+db.off('change', onChange);
+
+log('\nchange events:', changes);
+console.assert(changes.length === 2 && changes[0].type === 'put' && changes[1].keys[0] === 'h', `'${ store }' change events not raised`);
+
+// ----------------
+// transaction rolled back when callback throws
+try {
+  await db.transaction({ stores: store }, async tx => {
+    await tx.delete({ store, key: 'a' });
+    await tx.put({ store, item: { name: 'z', value: 26, update, expire: addDay(8, update) } });
+    throw new Error('rollback');
+  });
+  console.assert(false, `'${ store }' transaction should have failed`);
+}
+catch (e) {
+  log(`\ntransaction aborted: ${ e.message }`);
+}
+
+count = await db.count({ store });
+log(`after aborted transaction - records in '${ store }': ${ count }`);
+console.assert(count === 7, `'${ store }' does not have 7 records`);
+
+// ----------------
+// transaction committed when callback resolves
+rec = await db.transaction({ stores: [ store ] }, async tx => {
+  const a = await tx.get({ store, key: 'a' });
+  await tx.put({ store, item: { ...a, value: 100 } });
+  return tx.count({ store });
+});
+
+log(`transaction committed with ${ rec } records`);
+console.assert((await db.get({ store, key: 'a' })).value === 100, `'${ store }' record 'a' value is not 100`);
+
+// ----------------
+// transaction committed early by a non-PixDB Promise: earlier operations are not rolled back
+rec = await db.transaction({ stores: store }, async tx => {
+  await tx.put({ store, item: { name: 'y', value: 25, update } });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await tx.put({ store, item: { name: 'x', value: 24, update } });
+}).catch(e => e);
+
+log(`
+transaction committed early: ${ rec.message }`);
+console.assert(rec instanceof TransactionAbortedError, `'${ store }' early commit did not raise a TransactionAbortedError`);
+console.assert((await db.get({ store, key: 'y' })) && !(await db.get({ store, key: 'x' })), `'${ store }' operations before the early commit were not kept`);
+await db.delete({ store, key: 'y' });
+
+// ----------------
+// transaction aborted by a failed request caught in the callback
+rec = await db.transaction({ stores: store }, async tx => {
+  await tx.add({ store, item: { name: 'a', value: 1, update } }).catch(() => {});
+  await tx.put({ store, item: { name: 'x', value: 24, update } });
+}).catch(e => e);
+
+console.assert(rec instanceof TransactionAbortedError && rec.cause instanceof ConstraintError, `'${ store }' failed request did not raise a TransactionAbortedError`);
+console.assert(!(await db.get({ store, key: 'x' })), `'${ store }' aborted transaction was not rolled back`);
+
+// ----------------
+// export and import records
+const backup = await db.export({ stores: store });
+await db.clear({ store });
+rec = await db.import(backup);
+
+log(`\nimported ${ rec } records`);
+console.assert(rec === 7, `'${ store }' import did not return 7 records`);
+
+rec = await db.get({ store, key: 'f' });
+console.assert(rec.value instanceof Date, `'${ store }' imported record 'f' value is not a Date`);
+
+// ----------------
+// partial write report
+rec = await db.add({ store, item: [ { name: 'a' }, { name: 'y', value: 25 } ], continueOnError: true });
+log(`\nwrite report: keys ${ JSON.stringify(rec.keys) }, ${ rec.errors.length } error`);
+console.assert(rec.keys[1] === 'y' && rec.errors.length === 1 && rec.errors[0].index === 0, `'${ store }' continueOnError did not report record 'a'`);
+await db.delete({ store, key: 'y' });
+
+// ----------------
+// typed errors
+rec = await db.add({ store, item: { name: 'a' } }).catch(e => e);
+log(`\nduplicate add error: ${ rec.name } key ${ rec.key }`);
+console.assert(rec instanceof ConstraintError && rec.key === 'a', `'${ store }' duplicate add did not raise a ConstraintError`);
+
+rec = await db.get({ store: 'unknown', key: 'a' }).catch(e => e);
+console.assert(rec instanceof NotFoundError && rec.store === 'unknown', 'unknown store did not raise a NotFoundError');
+
+// ----------------
+// in-memory backend
+const mem = await new PixDB('memtest', {
+  version: 1,
+  stores: {
+    user: { keyPath: 'id', indexes: { emailIdx: { keyPath: 'email', unique: true } } }
+  }
+}, { backend: 'memory' });
+
+await mem.put({ store: 'user', item: [ { id: 1, email: 'a@b.c' }, { id: 2, email: 'b@b.c' } ] });
+
+try {
+  await mem.add({ store: 'user', item: { id: 3, email: 'a@b.c' } });
+  console.assert(false, 'memory backend unique index constraint failed');
+}
+catch (e) {
+  log(`\nmemory backend unique constraint: ${ e.message }`);
+}
+
+count = await mem.count({ store: 'user' });
+console.assert(count === 2, `memory backend does not have 2 records`);
+await mem.drop();
+
+// ----------------
+// encrypted store
+const
+  keyGen = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [ 'encrypt', 'decrypt' ]),
+  key1 = await keyGen(),
+  key2 = await keyGen(),
+  enc = await new PixDB('enctest', {
+    version: 1,
+    stores: {
+      user: { keyPath: 'id', indexes: { emailIdx: 'email' } }
+    }
+  }, { encrypt: { user: key1 } });
+
+await enc.put({ store: 'user', item: [ { id: 1, email: 'a@b.c', name: 'Ann' }, { id: 2, email: 'b@b.c', name: 'Bob' } ] });
+
+rec = await enc.get({ store: 'user', index: 'emailIdx', key: 'b@b.c' });
+log(`\nencrypted record: ${ JSON.stringify(rec) }`);
+console.assert(rec.name === 'Bob', 'encrypted record was not decrypted');
+
+count = await enc.transaction({ stores: 'user' }, tx => tx.getAllKeys({ store: 'user' }).then(k => k.length));
+console.assert(count === 2, 'encrypted store keys are not readable');
+
+rec = await enc.rotateKey({ store: 'user', key: key2 });
+console.assert(rec === 2 && (await enc.get({ store: 'user', key: 1 })).name === 'Ann', 'encrypted store key rotation failed');
+await enc.drop();
+
+// ----------------
+// compressed and chunked stores
+const zip = await new PixDB('ziptest', {
+  version: 1,
+  stores: {
+    doc: { keyPath: 'id' },
+    media: { keyPath: 'id' }
+  }
+}, { compress: { doc: 'gzip' }, chunk: { media: 1000 } });
+
+await zip.put({ store: 'doc', item: { id: 1, text: 'compress me '.repeat(500) } });
+rec = await zip.get({ store: 'doc', key: 1 });
+console.assert(rec.text.length === 6000, 'compressed record was not restored');
+
+await zip.put({ store: 'media', item: { id: 1, file: new Blob([ new Uint8Array(2500).fill(7) ], { type: 'image/png' }) } });
+rec = await zip.get({ store: 'media', key: 1 });
+log(`\nchunked Blob: ${ rec.file.size } bytes, ${ rec.file.type }`);
+console.assert(rec.file.size === 2500 && rec.file.type === 'image/png', 'chunked Blob was not reassembled');
+await zip.drop();
+
+// ----------------
+// validation
+const val = await new PixDB('valtest', {
+  version: 1,
+  stores: {
+    state: {
+      keyPath: 'name',
+      validate: { type: 'object', required: [ 'name', 'value' ], properties: { value: { type: 'number', minimum: 0 } } }
+    }
+  }
+}, { backend: 'memory' });
+
+rec = await val.put({ store: 'state', item: [ { nme: 'a', value: 1 }, { name: 'b', value: -1 } ] }).catch(e => e);
+log(`\nvalidation error: ${ rec.message }`);
+console.assert(rec instanceof ValidationError && rec.errors.length === 2 && rec.errors[1].field === 'value', 'invalid records did not raise a ValidationError');
+console.assert(await val.count({ store: 'state' }) === 0, 'invalid records were written');
+
+// updated records are validated
+await val.put({ store: 'state', item: [ { name: 'a', value: 1 }, { name: 'b', value: 2 } ] });
+rec = await val.updateWhere({ store: 'state', update: r => { r.value -= 2; } }).catch(e => e);
+console.assert(rec instanceof ValidationError && rec.errors[0].field === 'value', 'invalid update did not raise a ValidationError');
+console.assert((await val.get({ store: 'state', key: 'a' })).value === 1, 'invalid update was written');
+await val.drop();
+
+// validators do not see fields set by PixDB
+const valexp = await new PixDB('valexptest', {
+  version: 1,
+  stores: {
+    state: {
+      keyPath: 'name',
+      validate: { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false }
+    }
+  }
+}, { backend: 'memory', expire: { state: { ttl: 60000 } } });
+
+rec = await valexp.put({ store: 'state', item: { name: 'a' } }).catch(e => e);
+console.assert(rec === 'a', 'expiry date failed validation');
+console.assert((await valexp.get({ store: 'state', key: 'a' })).expire instanceof Date, 'expiry date not set');
+console.assert((await valexp.updateWhere({ store: 'state', update: r => r })) === 1, 'stored expiry date failed validation');
+await valexp.drop();
+
+// ----------------
+// plugins
+const plug = await new PixDB('plugtest', { version: 1, stores: { state: { keyPath: 'name' } } }, { backend: 'memory' });
+
+plug.use({
+  name: 'timestamp',
+  before: {
+    put: ctx => { ctx.param.item = { ...ctx.param.item, update: 1 }; }
+  }
+});
+
+plug.use({
+  name: 'cache',
+  before: {
+    get: ctx => { if (ctx.param.key === 'cached') ctx.result = { name: 'cached' }; }
+  }
+});
+
+await plug.put({ store: 'state', item: { name: 'a' } });
+rec = await plug.get({ store: 'state', key: 'a' });
+console.assert(rec.update === 1, 'plugin did not change the record');
+
+rec = await plug.get({ store: 'state', key: 'cached' });
+log(`\nplugin result: ${ rec.name }`);
+console.assert(rec.name === 'cached', 'plugin did not set the result');
+await plug.drop();
+
+// ----------------
+// record cache
+const cached = await new PixDB('cachetest', { version: 1, stores: { state: { keyPath: 'name' } } }, { backend: 'memory', cache: { state: 10 } });
+
+await cached.put({ store: 'state', item: { name: 'a', value: 1 } });
+rec = await cached.get({ store: 'state', key: 'a' });
+rec.value = 99;
+rec = await cached.get({ store: 'state', key: 'a' });
+console.assert(rec.value === 1, 'cached record was modified');
+
+await cached.put({ store: 'state', item: { name: 'a', value: 2 } });
+rec = await cached.get({ store: 'state', key: 'a' });
+log(`\ncached record after put: ${ rec.value }`);
+console.assert(rec.value === 2, 'cache was not updated by put');
+
+await cached.delete({ store: 'state', key: 'a' });
+console.assert(await cached.get({ store: 'state', key: 'a' }) === undefined, 'cache was not updated by delete');
+await cached.drop();
+
+// ----------------
+// sync
+const
+  server = new Map(),
+  push = async changes => changes.map(c => {
+    const version = (server.get(c.key)?.version || 0) + 1;
+    server.set(c.key, { ...c, deleted: c.op === 'delete', version });
+    return { store: c.store, key: c.key, version };
+  }),
+  pull = async () => ({ changes: [ ...server.values() ] });
+
+const synced = await new PixDB('synctest', { version: 1, stores: { state: { keyPath: 'name' } } }, { backend: 'memory', sync: { state: true } });
+
+await synced.put({ store: 'state', item: [ { name: 'a', value: 1 }, { name: 'b', value: 2 } ] });
+await synced.delete({ store: 'state', key: 'b' });
+rec = await synced.sync({ push });
+log(`\nsync pushed: ${ rec.pushed }`);
+console.assert(rec.pushed === 2 && server.get('b').deleted, 'local changes were not pushed');
+
+server.set('c', { store: 'state', key: 'c', value: { name: 'c', value: 3 }, version: 1 });
+rec = await synced.sync({ push, pull });
+console.assert(rec.pushed === 0 && (await synced.get({ store: 'state', key: 'c' }))?.value === 3, 'remote changes were not pulled');
+await synced.drop();
+
+// ----------------
+// full-text search
+const notes = await new PixDB('searchtest', { version: 1, stores: { note: { keyPath: 'id' } } }, { backend: 'memory' });
+
+await notes.put({ store: 'note', item: [
+  { id: 1, title: 'Shopping list', body: 'milk, eggs, and bread' },
+  { id: 2, title: 'Work', body: 'shopping app meeting' }
+] });
+await notes.createSearchIndex({ store: 'note', fields: [ 'title', 'body' ] });
+
+rec = await notes.search({ store: 'note', query: 'shopping milk' });
+log(`\nsearch results: ${ rec.map(r => r.title).join(', ') }`);
+console.assert(rec.length === 1 && rec[0].id === 1, 'search did not match every word');
+
+await notes.delete({ store: 'note', key: 1 });
+rec = await notes.search({ store: 'note', query: 'meet*' });
+console.assert(rec.length === 1 && rec[0].id === 2, 'search prefix did not match');
+console.assert((await notes.search({ store: 'note', query: 'milk' })).length === 0, 'search index was not updated');
+
+// another connection updates the index
+const notes2 = await new PixDB('searchtest', { version: 1, stores: { note: { keyPath: 'id' } } }, { backend: 'memory' });
+await notes2.put({ store: 'note', item: { id: 3, title: 'Garden', body: 'plant tomatoes' } });
+rec = await notes.search({ store: 'note', query: 'tomatoes' });
+console.assert(rec.length === 1 && rec[0].id === 3, 'write from another connection was not indexed');
+notes2.close();
+await notes.drop();
+
+// ----------------
+// relations
+const shop = await new PixDB('relationtest', {
+  version: 1,
+  stores: {
+    customer: { keyPath: 'id', relations: { order: { store: 'order', index: 'customerIdx', many: true, cascade: true } } },
+    order: { keyPath: 'id', indexes: { customerIdx: 'customerId' }, relations: { customer: { store: 'customer', field: 'customerId' } } }
+  }
+}, { backend: 'memory' });
+
+await shop.put({ store: 'customer', item: [ { id: 1, name: 'Ann' }, { id: 2, name: 'Bob' } ] });
+await shop.put({ store: 'order', item: [ { id: 10, customerId: 1 }, { id: 11, customerId: 1 }, { id: 12, customerId: 2 } ] });
+
+rec = await shop.getAll({ store: 'order', include: 'customer' });
+log(`\norder customers: ${ rec.map(r => r.customer.name).join(', ') }`);
+console.assert(rec[2].customer.name === 'Bob', 'related record not included');
+
+rec = await shop.get({ store: 'customer', key: 1, include: [ 'order' ] });
+console.assert(rec.order.length === 2, 'related records not included');
+
+await shop.delete({ store: 'customer', key: 1 });
+console.assert((await shop.count({ store: 'order' })) === 1, 'cascade delete failed');
+await shop.drop();
+
+// ----------------
+// storage and eviction
+const recent = await new PixDB('evicttest', { version: 1, stores: { log: { keyPath: 'id', indexes: { timeIdx: 'time' } } } }, {
+  backend: 'memory',
+  evict: { log: { max: 3, index: 'timeIdx' } }
+});
+
+for (let i = 1; i <= 5; i++) await recent.put({ store: 'log', item: { id: i, time: i } });
+
+rec = await recent.stats();
+log(`\nlog store: ${ rec.stores.log.count } records, ${ rec.stores.log.bytes } bytes`);
+console.assert(rec.stores.log.count === 3 && rec.count === 3, 'records not evicted');
+console.assert((await recent.get({ store: 'log', key: 1 })) === undefined, 'oldest record not evicted');
+
+// overwrites do not evict records
+await recent.put({ store: 'log', item: { id: 5, time: 6 } });
+console.assert((await recent.count({ store: 'log' })) === 3, 'record evicted by overwrite');
+await recent.drop();
+
+// ----------------
+// introspection
+rec = await db.stores();
+log(`\nstores: ${ rec.map(s => s.name).join(', ') }`);
+console.assert(rec.some(s => s.name === store && s.indexes.length), 'store not listed');
+console.assert(await PixDB.exists('test'), 'database does not exist');
+console.assert(!await PixDB.exists('missingdb', { backend: 'memory' }), 'missing database exists');
+
+// ----------------
+// copy, rename, and delete databases
+const fixture = await new PixDB('copytest', { version: 1, stores: { item: { keyPath: 'id' } } }, { backend: 'memory' });
+await fixture.put({ store: 'item', item: [ { id: 1 }, { id: 2 } ] });
+fixture.close();
+
+count = await PixDB.copy('copytest', 'copytest2', { backend: 'memory' });
+await PixDB.rename('copytest2', 'copytest3', { backend: 'memory' });
+log(`\ncopied records: ${ count }`);
+
+const copied = await new PixDB('copytest3', { version: 1, stores: { item: { keyPath: 'id' } } }, { backend: 'memory' });
+console.assert((await copied.count({ store: 'item' })) === 2, 'records not copied');
+console.assert(!await PixDB.exists('copytest2', { backend: 'memory' }), 'renamed database exists');
+copied.close();
+
+await PixDB.delete('copytest', { backend: 'memory' });
+await PixDB.delete('copytest3', { backend: 'memory' });
+console.assert(!await PixDB.exists('copytest', { backend: 'memory' }), 'database not deleted');
+
+// ----------------
+// key ranges
+const ranged = await new PixDB('rangetest', { version: 1, stores: { item: { keyPath: 'id' } } }, { backend: 'memory' });
+await ranged.put({ store: 'item', item: [ 0, 1, 2, 3 ].map(id => ({ id })) });
+
+rec = await ranged.getAllKeys({ store: 'item', range: { gt: 0, lt: 3 } });
+log(`\nkeys in range: ${ rec.join(', ') }`);
+console.assert(rec.join() === '1,2', 'exclusive range failed');
+console.assert((await ranged.count({ store: 'item', upperBound: 0 })) === 1, 'zero upper bound ignored');
+console.assert((await ranged.count({ store: 'item', range: { eq: 0 } })) === 1, 'exact range failed');
+
+await ranged.put({ store: 'item', item: [ { id: 'user:1' }, { id: 'user:2' }, { id: 'userx' } ] });
+console.assert((await ranged.count({ store: 'item', range: { prefix: 'user:' } })) === 2, 'prefix range failed');
+await ranged.drop();
+
+// ----------------
+// key cursors and direction
+const keyed = await new PixDB('keytest', { version: 1, stores: { item: { keyPath: 'id', indexes: { catIdx: 'cat' } } } }, { backend: 'memory' });
+await keyed.put({ store: 'item', item: [ { id: 1, cat: 'b' }, { id: 2, cat: 'a' }, { id: 3, cat: 'b' } ] });
+
+rec = await keyed.distinct({ store: 'item', index: 'catIdx' });
+log(`\ndistinct categories: ${ rec.join(', ') }`);
+console.assert(rec.join() === 'a,b', 'distinct values failed');
+
+rec = await keyed.getKeys({ store: 'item', index: 'catIdx', direction: 'prev', count: 1 });
+console.assert(rec[0].key === 'b' && rec[0].primaryKey === 3, 'key cursor failed');
+
+rec = await keyed.getAll({ store: 'item', direction: 'prev' });
+console.assert(rec.map(r => r.id).join() === '3,2,1', 'reverse getAll failed');
+await keyed.drop();
+
+// ----------------
+// schema migrations
+let migrated = await new PixDB('migratetest', {
+  version: 1,
+  stores: {
+    item: { keyPath: 'id', indexes: { nameIdx: 'name' } },
+    log: { keyPath: 'id', autoIncrement: true }
+  }
+}, { backend: 'memory' });
+
+await migrated.put({ store: 'item', item: [ { id: 1, code: 'a', name: 'Ann' }, { id: 2, code: 'b', name: 'Bob' } ] });
+await migrated.add({ store: 'log', item: [ { msg: 'one' }, { msg: 'two' }, { msg: 'three' } ] });
+await migrated.delete({ store: 'log', key: 1 });
+migrated.close();
+
+migrated = await new PixDB('migratetest', {
+  version: 2,
+  stores: {
+    item: { keyPath: 'code', indexes: { nameIdx: 'fullname' } },
+    log: { autoIncrement: true }
+  },
+  migrate: {
+    2: async tx => {
+      const all = await tx.getAll({ store: 'item' });
+      await tx.put({ store: 'item', item: all.map(r => ({ ...r, fullname: r.name.toUpperCase() })) });
+    }
+  }
+}, { backend: 'memory' });
+
+rec = await migrated.getAllKeys({ store: 'item' });
+log(`\nmigrated keys: ${ rec.join(', ') }`);
+console.assert(rec.join() === 'a,b', 'store keyPath was not changed');
+
+rec = await migrated.get({ store: 'item', index: 'nameIdx', key: 'BOB' });
+console.assert(rec?.id === 2, 'index was not changed');
+
+rec = await migrated.getAllKeys({ store: 'log' });
+console.assert(rec.join() === '2,3', 'out-of-line keys were not kept');
+migrated.close();
+
+// records without the new key path cancel the upgrade unless a migration reshapes them
+const skuSchema = { version: 3, stores: { item: { keyPath: 'sku' }, log: { autoIncrement: true } } };
+
+rec = await new PixDB('migratetest', skuSchema, { backend: 'memory' }).catch(e => e);
+console.assert(rec instanceof Error && rec.store === 'item', 'uncopied records did not cancel the upgrade');
+
+migrated = await new PixDB('migratetest', {
+  ...skuSchema,
+  migrate: {
+    3: (tx, { uncopied }) => tx.put({ store: 'item', item: uncopied.item.map(r => ({ ...r, sku: r.code.toUpperCase() })) })
+  }
+}, { backend: 'memory' });
+
+rec = await migrated.getAllKeys({ store: 'item' });
+console.assert(rec.join() === 'A,B', 'uncopied records were not passed to the migration');
+await migrated.drop();
+
+// ----------------
+// connection lifecycle events and reconnection
+const
+  lifeEvents = [],
+  lifeSchema = { version: 1, stores: { item: { keyPath: 'id' } } },
+  life1 = await new PixDB('lifetest', lifeSchema, { backend: 'memory', closeOnVersionChange: false });
+
+life1.on('versionchange', e => lifeEvents.push(`versionchange ${ e.oldVersion }-${ e.newVersion }`));
+life1.on('close', e => lifeEvents.push(`close ${ e.reason }`));
+
+const life2 = await new PixDB('lifetest', { ...lifeSchema, version: 2 }, {
+  backend: 'memory',
+  on: {
+    blocked: () => {
+      lifeEvents.push('blocked');
+      life1.close();
+    }
+  }
+});
+
+log(`\nlifecycle events: ${ lifeEvents.join(', ') }`);
+console.assert(lifeEvents.join() === 'versionchange 1-2,blocked,close close', 'lifecycle events not raised');
+console.assert(!life1.isConnected && life2.isConnected, 'upgrade did not replace the connection');
+
+life2.on('close', e => lifeEvents.push(`close ${ e.reason }`));
+await PixDB.delete('lifetest', { backend: 'memory' });
+console.assert(!life2.isConnected && lifeEvents.at(-1) === 'close versionchange', 'connection not closed by versionchange');
+
+await life2.put({ store: 'item', item: { id: 1 } });
+console.assert(life2.isConnected && (await life2.count({ store: 'item' })) === 1, 'connection did not reopen');
+
+rec = await life1.count({ store: 'item' }).catch(e => e);
+console.assert(rec.name === 'ConnectionClosedError', 'closed connection was reopened');
+await life2.drop();
+
+// ----------------
+// record expiry
+const
+  wait = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  temp = await new PixDB('expiretest', { version: 1, stores: { item: { keyPath: 'id', indexes: { expireIdx: 'expire' } } } }, {
+    backend: 'memory',
+    expire: { item: { index: 'expireIdx', ttl: 60000 } }
+  });
+
+await temp.put({ store: 'item', item: [ { id: 1 }, { id: 2 } ] });
+await temp.put({ store: 'item', item: [ { id: 0 }, { id: 3 } ], ttl: 1 });
+await wait(10);
+
+console.assert((await temp.get({ store: 'item', key: 3 })) === undefined, 'expired record returned by get');
+console.assert((await temp.getAll({ store: 'item' })).length === 2, 'expired record returned by getAll');
+
+rec = await temp.getAll({ store: 'item', count: 2 });
+console.assert(rec.map(r => r.id).join() === '1,2', 'expired records counted by getAll');
+
+rec = await temp.purgeExpired();
+log(`\npurged expired records: ${ rec }`);
+console.assert(rec === 2 && (await temp.count({ store: 'item' })) === 2, 'expired record not purged');
+temp.close();
+
+// background sweep
+const swept = await new PixDB('expiretest', { version: 1, stores: { item: { keyPath: 'id', indexes: { expireIdx: 'expire' } } } }, {
+  backend: 'memory',
+  expire: { item: { index: 'expireIdx' } },
+  sweep: 20
+});
+
+await swept.put({ store: 'item', item: { id: 4 }, ttl: 1 });
+await wait(100);
+console.assert((await swept.count({ store: 'item' })) === 2, 'expired record not swept');
+await swept.drop();
+
 // ----------------
 // close database
 db.close();